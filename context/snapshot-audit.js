@@ -0,0 +1,163 @@
+// /context/snapshot-audit.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotAudit1
+//
+// Rule-based data quality audit run by snapshot-build.js after the tables are filled.
+// Findings land in _data_issues (one row per record per rule) so the office can fix the
+// source records in FarmVista (collection + recordId point at the Firestore doc).
+//
+// Each rule is: id, severity (error = broken reference, warning = missing data), table,
+// collection, message, and a SELECT returning recordId / recordName / value.
+// Adding a check = adding ONE entry to AUDIT_RULES.
+//
+// ACTIVE-ONLY: field rules skip archived fields.
+//
+// Fix (snapshotAudit2): the builder stores missing acres as 0 (numOrNull(null) -> Number(null) = 0), so the
+// HEL/CRP "no acres" rules check COALESCE(acres, 0) <= 0 instead of IS NULL (which never matched).
+
+'use strict';
+
+export const ISSUES_TABLE = "_data_issues";
+
+const ACTIVE_FIELD = `COALESCE(f.archived, 0) = 0`;
+
+export const AUDIT_RULES = [
+  {
+    id: "field_no_county",
+    severity: "warning",
+    table: "fields",
+    collection: "fields",
+    message: "Field has no county",
+    sql: `
+      SELECT f.id AS recordId, f.name AS recordName, NULL AS value
+      FROM fields f
+      WHERE ${ACTIVE_FIELD} AND TRIM(COALESCE(f.county, '')) = ''
+    `
+  },
+  {
+    id: "field_unknown_farm",
+    severity: "error",
+    table: "fields",
+    collection: "fields",
+    message: "Field farmId matches no farm",
+    sql: `
+      SELECT f.id AS recordId, f.name AS recordName, f.farmId AS value
+      FROM fields f
+      LEFT JOIN farms fm ON fm.id = f.farmId
+      WHERE ${ACTIVE_FIELD} AND TRIM(COALESCE(f.farmId, '')) <> '' AND fm.id IS NULL
+    `
+  },
+  {
+    id: "field_unknown_rtk_tower",
+    severity: "error",
+    table: "fields",
+    collection: "fields",
+    message: "Field rtkTowerId matches no RTK tower",
+    sql: `
+      SELECT f.id AS recordId, f.name AS recordName, f.rtkTowerId AS value
+      FROM fields f
+      LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId
+      WHERE ${ACTIVE_FIELD} AND TRIM(COALESCE(f.rtkTowerId, '')) <> '' AND rt.id IS NULL
+    `
+  },
+  {
+    id: "field_hel_no_acres",
+    severity: "warning",
+    table: "fields",
+    collection: "fields",
+    message: "HEL toggle is on but helAcres is empty or 0",
+    sql: `
+      SELECT f.id AS recordId, f.name AS recordName, NULL AS value
+      FROM fields f
+      WHERE ${ACTIVE_FIELD} AND f.hasHEL = 1 AND COALESCE(f.helAcres, 0) <= 0
+    `
+  },
+  {
+    id: "field_crp_no_acres",
+    severity: "warning",
+    table: "fields",
+    collection: "fields",
+    message: "CRP toggle is on but crpAcres is empty or 0",
+    sql: `
+      SELECT f.id AS recordId, f.name AS recordName, NULL AS value
+      FROM fields f
+      WHERE ${ACTIVE_FIELD} AND f.hasCRP = 1 AND COALESCE(f.crpAcres, 0) <= 0
+    `
+  },
+  {
+    id: "bag_event_unknown_sku",
+    severity: "error",
+    table: "grainBagEvents",
+    collection: "grain_bag_events",
+    message: "Grain bag event bagSkuId matches no inventoryGrainBagMovements row",
+    sql: `
+      SELECT e.id AS recordId, TRIM(COALESCE(e.fieldName, '') || ' ' || COALESCE(e.type, '')) AS recordName, e.bagSkuId AS value
+      FROM grainBagEvents e
+      LEFT JOIN inventoryGrainBagMovements inv ON inv.id = e.bagSkuId
+      WHERE TRIM(COALESCE(e.bagSkuId, '')) <> '' AND inv.id IS NULL
+    `
+  },
+  {
+    id: "pickup_unknown_putdown",
+    severity: "error",
+    table: "grainBagAppliedTo",
+    collection: "grain_bag_events",
+    message: "Pickup refPutDownId matches no grain bag event",
+    sql: `
+      SELECT a.pickUpId AS recordId, TRIM(COALESCE(a.fieldName, '') || ' pickUp') AS recordName, a.refPutDownId AS value
+      FROM grainBagAppliedTo a
+      LEFT JOIN grainBagEvents e ON e.id = a.refPutDownId
+      WHERE e.id IS NULL
+    `
+  }
+];
+
+/**
+ * runAudit(sqlite)
+ * (Re)creates _data_issues and fills it from AUDIT_RULES.
+ * -> { total, byRule: { <ruleId>: n } }
+ */
+export function runAudit(sqlite) {
+  sqlite.exec(`
+    DROP TABLE IF EXISTS ${ISSUES_TABLE};
+    CREATE TABLE ${ISSUES_TABLE} (
+      rule TEXT,
+      severity TEXT,
+      tableName TEXT,
+      collection TEXT,
+      recordId TEXT,
+      recordName TEXT,
+      value TEXT,
+      message TEXT
+    );
+    CREATE INDEX idx_data_issues_rule ON ${ISSUES_TABLE}(rule);
+    CREATE INDEX idx_data_issues_record ON ${ISSUES_TABLE}(recordId);
+  `);
+
+  const insert = sqlite.prepare(`
+    INSERT INTO ${ISSUES_TABLE} (rule, severity, tableName, collection, recordId, recordName, value, message)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const byRule = {};
+  let total = 0;
+
+  const tx = sqlite.transaction(() => {
+    for (const rule of AUDIT_RULES) {
+      const rows = sqlite.prepare(rule.sql).all();
+      for (const r of rows) {
+        insert.run(
+          rule.id, rule.severity, rule.table, rule.collection,
+          r.recordId == null ? null : String(r.recordId),
+          r.recordName == null ? null : String(r.recordName),
+          r.value == null ? null : String(r.value),
+          rule.message
+        );
+      }
+      byRule[rule.id] = rows.length;
+      total += rows.length;
+    }
+  });
+  tx();
+
+  return { total, byRule };
+}
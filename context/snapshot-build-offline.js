@@ -0,0 +1,33 @@
+// /context/snapshot-build-offline.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotBuildOffline2-base
+//
+// Build live.sqlite from a Firefoo/JSON export. No credentials, no network.
+//
+// Usage:
+//   node context/snapshot-build-offline.js <exportFileOrDir> [outPath] [--upload] [--base prev.sqlite]
+//
+// Default outPath: ./live.sqlite
+// --base: incremental build on top of prev.sqlite (only docs changed since its updatedAt high-water mark)
+
+import { buildSnapshotToSqlite } from "./snapshot-build.js";
+
+const args = process.argv.slice(2);
+const upload = args.includes("--upload");
+
+const baseAt = args.indexOf("--base");
+const basePath = baseAt >= 0 ? args[baseAt + 1] : "";
+const positional = args.filter((a, i) => a !== "--upload" && i !== baseAt && (baseAt < 0 || i !== baseAt + 1));
+const [fromExport, outPath = "live.sqlite"] = positional;
+
+if (!fromExport || (baseAt >= 0 && !basePath)) {
+  console.error("Usage: node context/snapshot-build-offline.js <exportFileOrDir> [outPath] [--upload] [--base prev.sqlite]");
+  process.exit(1);
+}
+
+try {
+  const result = await buildSnapshotToSqlite({ fromExport, outPath, upload, incremental: !!basePath, basePath });
+  console.log(JSON.stringify(result, null, 2));
+} catch (e) {
+  console.error(`[snapshot-build-offline] ${e?.message || String(e)}`);
+  process.exit(1);
+}
@@ -1,5 +1,48 @@
 // /context/snapshot-build.js  (FULL FILE)
-// Rev: 2026-01-15-snapshotBuild-firestore2sqlite17-grainBags-inventorySkuJoin-noStatus
+// Rev: 2026-10-19-snapshotBuild-firestore2sqlite29-search
+//
+// NEW:
+// ✅ Full-text search (./snapshot-search.js): FTS5 table _search over fields, farms, RTK towers,
+//    equipment, maintenance notes and boundary notes; per-type counts go into _snapshot_meta.search
+// ✅ Canonical views from ./snapshot-views.js (v_field_full, v_farm_rollup, v_grain_bags_down,
+//    v_grainBag_open_remaining, v_bin_site_totals) created in every snapshot, full or incremental
+// ✅ Data quality audit (./snapshot-audit.js) after the tables are filled -> _data_issues table;
+//    per-rule counts go into _snapshot_meta.issues and the build result
+// ✅ History: every upload is also copied (server-side) to
+//    <FV_GCS_HISTORY_PREFIX, default "<dir of FV_GCS_OBJECT>/history/"><builtAt>.sqlite
+//    - retention: drop copies older than FV_HISTORY_KEEP_DAYS (default 90; 0 = no history),
+//      and keep only the newest copy per UTC day for days before today
+//    - history failures are reported in gcs.history.error, they don't fail the build
+// ✅ Incremental (delta) builds: buildSnapshotToSqlite({ incremental: true [, basePath] })
+//    - starts from the previous snapshot (basePath, else the current GCS object)
+//    - collections with `incremental` in the registry: fetch docs whose updatedAt >= high-water mark
+//      (max updatedAtMs minus FV_INCREMENTAL_LOOKBACK_MS, default 10 min), upsert them,
+//      re-explode their child rows, fetch ids missing from the base, delete ids gone from Firestore
+//      (id listing uses select() = no field data)
+//    - other collections are refetched in full (small)
+//    - falls back to a full build when the base is missing or its schema/columns differ from the registry
+//    - NOTE: updatedAt must be a Firestore Timestamp for the delta query to see the doc
+// ✅ _snapshot_meta (key/value) in every snapshot: snapshotId, builderRev, schemaVersion,
+//    builtAt, buildMs, source, counts (JSON). schemaVersion also goes into GCS custom metadata.
+// ✅ Build jobs: POST /snapshot/build starts a background job, GET /snapshot/build/:jobId reports it
+//    - guarded by FV_BUILD_TOKEN (x-build-token or Authorization: Bearer); disabled when unset
+//    - per-collection progress (state/rows/ms), counts, duration, error
+//    - one build per process, plus a GCS lock object (<FV_GCS_OBJECT>.lock, create-if-absent)
+//      so two instances never race to upload the same snapshot; locks older than
+//      FV_BUILD_LOCK_TTL_MS (default 30 min) are treated as abandoned. A running job refreshes its
+//      lock every TTL/3 (heartbeat), so only a lock whose instance died ever ages out
+// ✅ Offline build: buildSnapshotToSqlite({ fromExport }) reads a Firefoo/JSON export
+//    (directory of <collection>.json files, or one file with every collection)
+//    - no firebase-admin, no GCS upload unless upload=true
+//    - CLI: node context/snapshot-build-offline.js <exportPath> [outPath]
+// ✅ Tables/columns/indexes/child tables come from ./snapshot-tables.js (SNAPSHOT_TABLES)
+//    - DDL, row mapping and counts are generated from the registry (no hand-written per-collection code)
+//    - grainBagAppliedTo now explodes pickUp events case-insensitively (type='pickUp')
+// ✅ binMovements table (IN/OUT rows per site/bin, indexed by siteId/binNum/dateISO)
+// ✅ boundary_requests table (submittedBy flattened, timestamps via toISO/toMs)
+// ✅ fieldMaintenance table (submittedBy + location flattened, photoUrls as JSON)
+// ✅ equipment table (flattened: unitId, serial, hours, starfireCurrentLocation*, make/model)
+// ✅ equipmentMakes + equipmentModels tables (categories stored as JSON)
 //
 // FIX (per Dane):
 // ✅ Add inventoryGrainBagMovements table
@@ -26,13 +69,31 @@ import os from "os";
 import { Storage } from "@google-cloud/storage";
 import Database from "better-sqlite3";
 import admin from "firebase-admin";
-import { FieldPath } from "firebase-admin/firestore";
+import { FieldPath, Timestamp } from "firebase-admin/firestore";
+
+import {
+  SNAPSHOT_TABLES, allTables, columnValue, norm, toMs, SCHEMA_VERSION, META_TABLE
+} from "./snapshot-tables.js";
+import { runAudit } from "./snapshot-audit.js";
+import { buildSearchIndex } from "./snapshot-search.js";
+import { dropViewsSql, createViewsSql } from "./snapshot-views.js";
+
+// keep in sync with the Rev header; recorded in _snapshot_meta.builderRev
+const BUILDER_REV = "2026-10-19-snapshotBuild-firestore2sqlite29-search";
 
 const storage = new Storage();
 
 const GCS_BUCKET = (process.env.FV_GCS_BUCKET || "dowsonfarms-illinois.firebasestorage.app").toString();
 const GCS_OBJECT = (process.env.FV_GCS_OBJECT || "copilot-snapshots/live.sqlite").toString();
 
+const LOCK_OBJECT = `${GCS_OBJECT}.lock`;
+const HISTORY_PREFIX = (process.env.FV_GCS_HISTORY_PREFIX || `${path.posix.dirname(GCS_OBJECT)}/history/`).toString();
+const HISTORY_KEEP_DAYS = Number(process.env.FV_HISTORY_KEEP_DAYS ?? 90);
+const LOCK_TTL_MS = Number(process.env.FV_BUILD_LOCK_TTL_MS || 30 * 60 * 1000);
+const LOCK_HEARTBEAT_MS = Math.max(1000, Math.floor(LOCK_TTL_MS / 3));
+const MAX_JOBS = 20;
+const LOOKBACK_MS = Number(process.env.FV_INCREMENTAL_LOOKBACK_MS || 10 * 60 * 1000);
+
 const PROJECT_ID = (process.env.FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT || "").toString() || undefined;
 
 function ensureFirebase() {
@@ -40,348 +101,203 @@ function ensureFirebase() {
   admin.initializeApp(PROJECT_ID ? { projectId: PROJECT_ID } : {});
 }
 
-function norm(s) { return (s || "").toString().trim(); }
-function lower(s) { return norm(s).toLowerCase(); }
+async function pageQuery(query, pickFn) {
+  const out = [];
+  let last = null;
+
+  while (true) {
+    let q = query.limit(1000);
+    if (last) q = q.startAfter(last);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const data = doc.data() || {};
+      out.push(pickFn(doc.id, data));
+    }
 
-function numOrNull(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
+    last = snap.docs[snap.docs.length - 1];
+    if (snap.size < 1000) break;
+  }
+
+  return out;
 }
 
-function bool01(v) {
-  if (v === true) return 1;
-  if (v === false) return 0;
-  return null;
+function fetchAllDocs(db, collectionName, pickFn) {
+  return pageQuery(db.collection(collectionName).orderBy(FieldPath.documentId()), pickFn);
 }
 
-function farmArchivedFromStatus(statusRaw) {
-  const s = lower(statusRaw);
-  if (!s) return null;
-  if (s === "active") return 0;
-  return 1;
+async function fetchDocsByIds(db, collectionName, ids, pickFn) {
+  const col = db.collection(collectionName);
+  const out = [];
+  for (let i = 0; i < ids.length; i += 300) {
+    const snaps = await db.getAll(...ids.slice(i, i + 300).map((id) => col.doc(id)));
+    for (const doc of snaps) if (doc.exists) out.push(pickFn(doc.id, doc.data() || {}));
+  }
+  return out;
 }
 
-function toISO(ts) {
-  try {
-    if (!ts) return "";
-    if (typeof ts === "string") return ts;
-    if (typeof ts === "object") {
-      if (typeof ts.__time__ === "string") return ts.__time__;
-      if (typeof ts.toDate === "function") return ts.toDate().toISOString();
-      if (typeof ts.seconds === "number") return new Date(ts.seconds * 1000).toISOString();
-    }
-  } catch {}
-  return "";
+/* ----------------------------- offline export (Firefoo/JSON) ----------------------------- */
+// Accepted shapes per collection:
+// - Firefoo:   { meta: { resourcePath: ["farms"] }, data: { <id>: {...} } }
+// - Map:       { <id>: {...} }
+// - Array:     [ { id | __id__, ... } ]
+// One file may also hold many collections: { __collections__: { <name>: <map|array> } }
+function stripExportMeta(d) {
+  const { __collections__, __id__, ...rest } = d || {};
+  return rest;
 }
 
-function toMs(ts) {
-  try {
-    const iso = toISO(ts);
-    if (iso) {
-      const ms = Date.parse(iso);
-      return Number.isFinite(ms) ? ms : null;
-    }
-    if (ts && typeof ts.toMillis === "function") {
-      const ms = ts.toMillis();
-      return Number.isFinite(ms) ? ms : null;
-    }
-  } catch {}
-  return null;
+function exportDocs(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter((d) => d && typeof d === "object")
+      .map(({ id, ...d }) => ({ id: String(id ?? d.__id__ ?? ""), data: stripExportMeta(d) }))
+      .filter((d) => d.id);
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([, d]) => d && typeof d === "object")
+      .map(([id, d]) => ({ id, data: stripExportMeta(d) }));
+  }
+  return [];
 }
 
-function parseProductIdFromRef(refLike) {
-  // Firefoo export style: { "__ref__": "productsGrainBags/<id>" }
-  try {
-    if (!refLike) return "";
-    if (typeof refLike === "string") {
-      const s = refLike.trim();
-      const m = s.match(/productsGrainBags\/([^\/\s]+)\s*$/i);
-      return m ? norm(m[1]) : "";
+function readExportFile(filePath, out) {
+  const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (json && typeof json === "object" && json.__collections__ && typeof json.__collections__ === "object") {
+    for (const [name, value] of Object.entries(json.__collections__)) {
+      out.set(name, (out.get(name) || []).concat(exportDocs(value)));
     }
-    if (typeof refLike === "object") {
-      const r = norm(refLike.__ref__ || refLike.path || "");
-      if (!r) return "";
-      const m = r.match(/productsGrainBags\/([^\/\s]+)\s*$/i);
-      return m ? norm(m[1]) : "";
+    return;
+  }
+
+  const isFirefoo = json && typeof json === "object" && !Array.isArray(json) && json.meta && json.data;
+  const resourcePath = isFirefoo && Array.isArray(json.meta.resourcePath) ? json.meta.resourcePath : [];
+  const name = norm(resourcePath[resourcePath.length - 1] || path.basename(filePath, path.extname(filePath)));
+
+  out.set(name, (out.get(name) || []).concat(exportDocs(isFirefoo ? json.data : json)));
+}
+
+function readExport(exportPath) {
+  const out = new Map();
+  const stat = fs.statSync(exportPath);
+
+  if (stat.isDirectory()) {
+    const files = fs.readdirSync(exportPath).filter((f) => f.toLowerCase().endsWith(".json")).sort();
+    for (const f of files) readExportFile(path.join(exportPath, f), out);
+  } else {
+    readExportFile(exportPath, out);
+  }
+
+  // match Firestore paging order (documentId ascending)
+  for (const docs of out.values()) docs.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return out;
+}
+
+function firestoreSource(firestore) {
+  return {
+    kind: "firestore",
+    fetchAll: (collectionName, pickFn) => fetchAllDocs(firestore, collectionName, pickFn),
+    listIds: (collectionName) =>
+      pageQuery(firestore.collection(collectionName).select().orderBy(FieldPath.documentId()), (id) => id),
+    fetchChanged: (collectionName, field, sinceMs, pickFn) =>
+      pageQuery(
+        firestore.collection(collectionName).where(field, ">=", Timestamp.fromMillis(sinceMs)).orderBy(field),
+        pickFn
+      ),
+    fetchByIds: (collectionName, ids, pickFn) => fetchDocsByIds(firestore, collectionName, ids, pickFn)
+  };
+}
+
+function exportSource(exportPath) {
+  const collections = readExport(exportPath);
+  const docs = (collectionName) => collections.get(collectionName) || [];
+  return {
+    kind: "export",
+    path: exportPath,
+    fetchAll: async (collectionName, pickFn) => docs(collectionName).map((d) => pickFn(d.id, d.data)),
+    listIds: async (collectionName) => docs(collectionName).map((d) => d.id),
+    fetchChanged: async (collectionName, field, sinceMs, pickFn) => docs(collectionName)
+      .filter((d) => (toMs(d.data[field]) ?? -1) >= sinceMs)
+      .map((d) => pickFn(d.id, d.data)),
+    fetchByIds: async (collectionName, ids, pickFn) => {
+      const want = new Set(ids);
+      return docs(collectionName).filter((d) => want.has(d.id)).map((d) => pickFn(d.id, d.data));
     }
-  } catch {}
-  return "";
+  };
 }
 
-async function fetchAllDocs(db, collectionName, pickFn) {
-  const col = db.collection(collectionName);
+function quoteCols(cols) {
+  return cols.map((c) => `"${c}"`).join(", ");
+}
 
-  const out = [];
-  let last = null;
+function createTableSql(spec) {
+  const defs = spec.columns.map((c) => `      "${c.name}" ${c.type}`);
+  if (spec.primaryKey) defs.push(`      PRIMARY KEY (${quoteCols(spec.primaryKey)})`);
+  return `    CREATE TABLE ${spec.table} (\n${defs.join(",\n")}\n    );`;
+}
 
-  while (true) {
-    let q = col.orderBy(FieldPath.documentId()).limit(1000);
-    if (last) q = q.startAfter(last);
+function createIndexSql(spec) {
+  return Object.entries(spec.indexes || {})
+    .map(([name, cols]) => `    CREATE INDEX ${name} ON ${spec.table}(${quoteCols(cols)});`);
+}
 
-    const snap = await q.get();
-    if (snap.empty) break;
+function createSchema(sqlite) {
+  const tables = allTables();
+
+  sqlite.exec([
+    "PRAGMA journal_mode=WAL;",
+    "PRAGMA synchronous=NORMAL;",
+    dropViewsSql(),
+    ...tables.map((t) => `DROP TABLE IF EXISTS ${t.table};`),
+    `DROP TABLE IF EXISTS ${META_TABLE};`,
+    `CREATE TABLE ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT);`,
+    ...tables.map(createTableSql),
+    ...tables.flatMap(createIndexSql),
+    createViewsSql()
+  ].join("\n"));
+}
 
-    for (const doc of snap.docs) {
-      const data = doc.data() || {};
-      out.push(pickFn(doc.id, data));
+/**
+ * mapDoc(spec, id, d)
+ * Registry entry + Firestore doc -> { row, children: { <childTable>: rows[] } }
+ */
+function mapDoc(spec, id, d) {
+  const src = { ...d, $id: id, $raw: d };
+
+  const row = {};
+  for (const c of spec.columns) row[c.name] = columnValue(c, src);
+
+  const children = {};
+  for (const child of (spec.children || [])) {
+    const rows = [];
+    const items = (!child.when || child.when(d)) && Array.isArray(d[child.from]) ? d[child.from] : [];
+
+    for (const item of items) {
+      const childSrc = { ...(item && typeof item === "object" ? item : {}), $id: id, $doc: d };
+      const r = {};
+      for (const c of child.columns) r[c.name] = columnValue(c, childSrc);
+      if ((child.require || []).some((k) => !r[k])) continue;
+      rows.push(r);
     }
 
-    last = snap.docs[snap.docs.length - 1];
-    if (snap.size < 1000) break;
+    children[child.table] = rows;
   }
 
-  return out;
+  return { row, children };
 }
 
-function createSchema(sqlite) {
-  sqlite.exec(`
-    PRAGMA journal_mode=WAL;
-    PRAGMA synchronous=NORMAL;
-
-    DROP VIEW IF EXISTS v_grainBag_open_remaining;
-
-    DROP TABLE IF EXISTS farms;
-    DROP TABLE IF EXISTS rtkTowers;
-    DROP TABLE IF EXISTS fields;
-    DROP TABLE IF EXISTS binSites;
-    DROP TABLE IF EXISTS binSiteBins;
-    DROP TABLE IF EXISTS grainBagEvents;
-    DROP TABLE IF EXISTS grainBagAppliedTo;
-    DROP TABLE IF EXISTS productsGrainBags;
-    DROP TABLE IF EXISTS inventoryGrainBagMovements;
-
-    CREATE TABLE farms (
-      id TEXT PRIMARY KEY,
-      name TEXT,
-      status TEXT,
-      archived INTEGER,
-      data TEXT
-    );
-
-    CREATE TABLE rtkTowers (
-      id TEXT PRIMARY KEY,
-      name TEXT,
-      networkId TEXT,
-      frequency TEXT,
-      data TEXT
-    );
-
-    CREATE TABLE fields (
-      id TEXT PRIMARY KEY,
-      name TEXT,
-      farmId TEXT,
-      farmName TEXT,
-      rtkTowerId TEXT,
-      rtkTowerName TEXT,
-      county TEXT,
-      state TEXT,
-      acresTillable REAL,
-      hasHEL INTEGER,
-      helAcres REAL,
-      hasCRP INTEGER,
-      crpAcres REAL,
-      archived INTEGER,
-      data TEXT
-    );
-
-    CREATE TABLE binSites (
-      id TEXT PRIMARY KEY,
-      name TEXT,
-      status TEXT,
-      used INTEGER,
-      totalBushels REAL,
-      data TEXT
-    );
-
-    CREATE TABLE binSiteBins (
-      siteId TEXT,
-      siteName TEXT,
-      binNum INTEGER,
-      capacityBushels REAL,
-      onHandBushels REAL,
-      lastCropType TEXT,
-      lastCropMoisture REAL,
-      lastUpdatedMs INTEGER,
-      lastUpdatedBy TEXT,
-      lastUpdatedUid TEXT,
-      PRIMARY KEY (siteId, binNum)
-    );
-
-    -- Grain bag events (putDown + pickUp stored raw, plus extracted fields)
-    CREATE TABLE grainBagEvents (
-      id TEXT PRIMARY KEY,
-      type TEXT,
-      status TEXT,
-      datePlaced TEXT,
-      cropType TEXT,
-      cropYear INTEGER,
-      cropMoisture REAL,
-
-      fieldId TEXT,
-      fieldName TEXT,
-
-      bagSkuId TEXT,
-      bagBrand TEXT,
-      bagDiameterFt REAL,
-      bagSizeFeet REAL,
-
-      countFull INTEGER,
-      countPartial INTEGER,
-
-      partialFeetJson TEXT,
-      partialFeetSum REAL,
-      partialUsageJson TEXT,
-
-      priority INTEGER,
-      priorityReason TEXT,
-
-      submittedByEmail TEXT,
-      submittedByName TEXT,
-
-      createdAtISO TEXT,
-      createdAtMs INTEGER,
-      updatedAtISO TEXT,
-      updatedAtMs INTEGER,
-
-      data TEXT
-    );
-
-    -- pickUp.appliedTo exploded rows (subtract from putDown reliably)
-    CREATE TABLE grainBagAppliedTo (
-      pickUpId TEXT,
-      refPutDownId TEXT,
-      takeFull INTEGER,
-      takePartial INTEGER,
-      cropType TEXT,
-      cropYear INTEGER,
-      fieldId TEXT,
-      fieldName TEXT,
-      pickedUpDate TEXT,
-      createdAtISO TEXT,
-      createdAtMs INTEGER,
-      PRIMARY KEY (pickUpId, refPutDownId)
-    );
-
-    -- Products: Grain bags (bushel estimates)
-    CREATE TABLE productsGrainBags (
-      id TEXT PRIMARY KEY,
-      brand TEXT,
-      diameterFt REAL,
-      lengthFt REAL,
-      thicknessMil REAL,
-      status TEXT,
-      notes TEXT,
-
-      bushelsCorn REAL,
-      soyPct REAL,
-      wheatPct REAL,
-      bushelsSoy REAL,
-      bushelsWheat REAL,
-
-      createdAtISO TEXT,
-      createdAtMs INTEGER,
-      updatedAtISO TEXT,
-      updatedAtMs INTEGER,
-
-      data TEXT
-    );
-
-    -- Inventory: Bag SKUs stored on-farm (shed inventory)
-    -- IMPORTANT: grainBagEvents.bagSkuId refers to inventoryGrainBagMovements.id
-    -- productId is parsed from productRef ("productsGrainBags/<id>")
-    CREATE TABLE inventoryGrainBagMovements (
-      id TEXT PRIMARY KEY,
-
-      brand TEXT,
-      diameterFt REAL,
-      lengthFt REAL,
-      thicknessMil REAL,
-      location TEXT,
-
-      qty REAL,
-      onHand REAL,
-      type TEXT,
-      status TEXT,
-
-      productId TEXT,
-      productRefPath TEXT,
-
-      lastManualAdjustmentISO TEXT,
-      lastManualAdjustmentMs INTEGER,
-      lastManualAdjustmentReason TEXT,
-      lastManualAdjustmentRemoveQty REAL,
-      lastManualAdjustmentUser TEXT,
-
-      createdAtISO TEXT,
-      createdAtMs INTEGER,
-      updatedAtISO TEXT,
-      updatedAtMs INTEGER,
-
-      data TEXT
-    );
-
-    CREATE INDEX idx_fields_archived ON fields(archived);
-
-    CREATE INDEX idx_binSites_name ON binSites(name);
-    CREATE INDEX idx_binSiteBins_crop ON binSiteBins(lastCropType);
-
-    CREATE INDEX idx_gbe_type ON grainBagEvents(type);
-    CREATE INDEX idx_gbe_status ON grainBagEvents(status);
-    CREATE INDEX idx_gbe_crop ON grainBagEvents(cropType);
-    CREATE INDEX idx_gbe_year ON grainBagEvents(cropYear);
-    CREATE INDEX idx_gbe_field ON grainBagEvents(fieldId);
-    CREATE INDEX idx_gbe_sku ON grainBagEvents(bagSkuId);
-
-    CREATE INDEX idx_gba_putdown ON grainBagAppliedTo(refPutDownId);
-    CREATE INDEX idx_gba_crop ON grainBagAppliedTo(cropType);
-    CREATE INDEX idx_gba_year ON grainBagAppliedTo(cropYear);
-
-    CREATE INDEX idx_pgb_size ON productsGrainBags(diameterFt, lengthFt);
-    CREATE INDEX idx_pgb_brand ON productsGrainBags(brand);
-    CREATE INDEX idx_pgb_status ON productsGrainBags(status);
-
-    CREATE INDEX idx_inv_product ON inventoryGrainBagMovements(productId);
-    CREATE INDEX idx_inv_brand ON inventoryGrainBagMovements(brand);
-    CREATE INDEX idx_inv_size ON inventoryGrainBagMovements(diameterFt, lengthFt);
-
-    -- Open remaining view (TRUE remaining after pickUps)
-    -- NOTE: per Dane, this view MUST NOT depend on "status".
-    CREATE VIEW v_grainBag_open_remaining AS
-      SELECT
-        p.id AS putDownId,
-        p.fieldId,
-        p.fieldName,
-        p.cropType,
-        p.cropYear,
-        p.bagDiameterFt,
-        p.bagSizeFeet,
-        p.bagSkuId,
-        p.bagBrand,
-
-        COALESCE(p.countFull,0) AS putFull,
-        COALESCE(p.countPartial,0) AS putPartial,
-        COALESCE(p.partialFeetSum,0) AS putPartialFeetSum,
-
-        COALESCE(SUM(a.takeFull),0) AS pickedFull,
-        COALESCE(SUM(a.takePartial),0) AS pickedPartial,
-
-        MAX(CASE WHEN COALESCE(a.takePartial,0) > 0 THEN 1 ELSE 0 END) AS anyPartialPicked,
-
-        MAX(0, COALESCE(p.countFull,0) - COALESCE(SUM(a.takeFull),0)) AS remainingFull,
-        MAX(0, COALESCE(p.countPartial,0) - COALESCE(SUM(a.takePartial),0)) AS remainingPartial,
-
-        CASE
-          WHEN MAX(CASE WHEN COALESCE(a.takePartial,0) > 0 THEN 1 ELSE 0 END) = 1 THEN 0
-          ELSE COALESCE(p.partialFeetSum,0)
-        END AS remainingPartialFeetSum
-
-      FROM grainBagEvents p
-      LEFT JOIN grainBagAppliedTo a ON a.refPutDownId = p.id
-      WHERE lower(p.type)='putdown'
-      GROUP BY p.id
-      HAVING (MAX(0, COALESCE(p.countFull,0) - COALESCE(SUM(a.takeFull),0)) > 0)
-          OR (MAX(0, COALESCE(p.countPartial,0) - COALESCE(SUM(a.takePartial),0)) > 0);
-  `);
+function writeSnapshotMeta(sqlite, meta) {
+  const stmt = sqlite.prepare(`INSERT OR REPLACE INTO ${META_TABLE} (key, value) VALUES (?, ?)`);
+  const tx = sqlite.transaction(() => {
+    for (const [k, v] of Object.entries(meta)) {
+      stmt.run(k, (v && typeof v === "object") ? JSON.stringify(v) : String(v ?? ""));
+    }
+  });
+  tx();
 }
 
 function insertRows(sqlite, table, rows) {
@@ -389,7 +305,8 @@ function insertRows(sqlite, table, rows) {
 
   const cols = Object.keys(rows[0]);
   const placeholders = cols.map(() => "?").join(",");
-  const stmt = sqlite.prepare(`INSERT INTO ${table} (${cols.join(",")}) VALUES (${placeholders})`);
+  // quote columns: boundary_requests has a "when" column
+  const stmt = sqlite.prepare(`INSERT INTO ${table} (${cols.map((c) => `"${c}"`).join(",")}) VALUES (${placeholders})`);
 
   const tx = sqlite.transaction((batch) => {
     for (const r of batch) stmt.run(cols.map((c) => r[c]));
@@ -399,7 +316,140 @@ function insertRows(sqlite, table, rows) {
   return rows.length;
 }
 
-async function uploadToGcs(localPath, snapshotId) {
+/* ----------------------------- incremental (delta) ----------------------------- */
+function metaValue(sqlite, key) {
+  const has = sqlite.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`).get(META_TABLE);
+  return has ? sqlite.prepare(`SELECT value FROM ${META_TABLE} WHERE key=?`).pluck().get(key) ?? null : null;
+}
+
+async function prepareBase(opts, localPath, fromExport) {
+  const basePath = norm(opts.basePath);
+  try {
+    if (basePath) fs.copyFileSync(basePath, localPath);
+    else if (!fromExport) await storage.bucket(GCS_BUCKET).file(GCS_OBJECT).download({ destination: localPath });
+    else return "export builds need a basePath";
+    return null;
+  } catch (e) {
+    return `base snapshot unavailable: ${e?.message || String(e)}`;
+  }
+}
+
+// null when the base can be patched in place, else why it can't
+function baseMismatch(sqlite) {
+  const version = metaValue(sqlite, "schemaVersion");
+  if (version === null) return `base snapshot has no ${META_TABLE}`;
+  if (Number(version) !== SCHEMA_VERSION) return `base schemaVersion ${version} != ${SCHEMA_VERSION}`;
+
+  for (const t of allTables()) {
+    const have = sqlite.pragma(`table_info(${t.table})`).map((c) => c.name).join(",");
+    const want = t.columns.map((c) => c.name).join(",");
+    if (have !== want) return `base table ${t.table} columns differ from registry`;
+  }
+  return null;
+}
+
+function reopenBase(sqlite) {
+  sqlite.exec([
+    "PRAGMA journal_mode=WAL;",
+    "PRAGMA synchronous=NORMAL;",
+    `DELETE FROM ${META_TABLE};`,
+    dropViewsSql(),
+    createViewsSql()
+  ].join("\n"));
+}
+
+function clearTables(sqlite, spec) {
+  for (const t of [spec, ...(spec.children || [])]) sqlite.exec(`DELETE FROM ${t.table};`);
+}
+
+// removes parent rows and their exploded child rows
+function deleteDocs(sqlite, spec, ids) {
+  if (!ids.length) return;
+
+  const stmts = [sqlite.prepare(`DELETE FROM ${spec.table} WHERE id = ?`)]
+    .concat((spec.children || []).map((c) => sqlite.prepare(`DELETE FROM ${c.table} WHERE "${c.parentKey}" = ?`)));
+
+  const tx = sqlite.transaction((batch) => {
+    for (const id of batch) for (const stmt of stmts) stmt.run(id);
+  });
+  tx(ids);
+}
+
+/**
+ * applyDelta(sqlite, source, spec)
+ * Brings one `incremental` collection of the base snapshot up to date.
+ * Returns the docs to (re)insert; their old rows and child rows are already deleted.
+ * -> { mapped, delta: { sinceMs, changed, added, deleted } }
+ */
+async function applyDelta(sqlite, source, spec) {
+  const pick = (id, d) => ({ id, ...mapDoc(spec, id, d) });
+
+  const prevIds = new Set(sqlite.prepare(`SELECT id FROM ${spec.table}`).pluck().all());
+  const hwm = Number(sqlite.prepare(`SELECT MAX("${spec.incremental}Ms") FROM ${spec.table}`).pluck().get() || 0);
+  const sinceMs = Math.max(0, hwm - LOOKBACK_MS);
+
+  const ids = new Set(await source.listIds(spec.collection));
+  const changed = await source.fetchChanged(spec.collection, spec.incremental, sinceMs, pick);
+
+  // docs created without an updatedAt never match the delta query; fetch them by id
+  const seen = new Set(changed.map((m) => m.id));
+  const missing = [...ids].filter((id) => !prevIds.has(id) && !seen.has(id));
+  const added = missing.length ? await source.fetchByIds(spec.collection, missing, pick) : [];
+
+  const deleted = [...prevIds].filter((id) => !ids.has(id));
+  const mapped = changed.concat(added);
+
+  deleteDocs(sqlite, spec, deleted.concat(mapped.map((m) => m.id)));
+  return { mapped, delta: { sinceMs, changed: changed.length, added: added.length, deleted: deleted.length } };
+}
+
+/* ----------------------------- history ----------------------------- */
+function historyObjectName(builtAt) {
+  // 2026-10-19T13:28:35.010Z -> <prefix>2026-10-19T13-28-35Z.sqlite
+  return `${HISTORY_PREFIX}${builtAt.replace(/\.\d+Z$/, "Z").replace(/:/g, "-")}.sqlite`;
+}
+
+async function pruneHistory(bucket) {
+  const [files] = await bucket.getFiles({ prefix: HISTORY_PREFIX });
+  const entries = files
+    .map((f) => ({ f, ms: Date.parse(f.metadata?.metadata?.builtAt || f.metadata?.timeCreated || "") }))
+    .filter((e) => Number.isFinite(e.ms))
+    .sort((a, b) => b.ms - a.ms);
+
+  const cutoff = Date.now() - HISTORY_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const today = new Date().toISOString().slice(0, 10);
+  const seenDays = new Set();
+
+  const pruned = [];
+  for (const e of entries) {
+    const day = new Date(e.ms).toISOString().slice(0, 10);
+    const keep = e.ms >= cutoff && (day === today || !seenDays.has(day));
+    seenDays.add(day);
+    if (keep) continue;
+
+    await e.f.delete({ ignoreNotFound: true });
+    pruned.push(e.f.name);
+  }
+  return pruned;
+}
+
+async function saveHistory(bucket, file, builtAt, snapshotId) {
+  if (!(HISTORY_KEEP_DAYS > 0)) return null;
+  const object = historyObjectName(builtAt);
+  try {
+    await file.copy(bucket.file(object), {
+      contentType: "application/x-sqlite3",
+      metadata: { snapshotId, builtAt, schemaVersion: String(SCHEMA_VERSION) }
+    });
+    const pruned = await pruneHistory(bucket);
+    return { object, keepDays: HISTORY_KEEP_DAYS, pruned };
+  } catch (e) {
+    console.warn(`[snapshot-build] history copy/prune failed: ${e?.message || String(e)}`);
+    return { object, keepDays: HISTORY_KEEP_DAYS, error: e?.message || String(e) };
+  }
+}
+
+async function uploadToGcs(localPath, snapshotId, builtAt) {
   const bucket = storage.bucket(GCS_BUCKET);
   const file = bucket.file(GCS_OBJECT);
 
@@ -408,307 +458,372 @@ async function uploadToGcs(localPath, snapshotId) {
     resumable: true,
     metadata: {
       contentType: "application/x-sqlite3",
-      metadata: { snapshotId }
+      metadata: { snapshotId, builtAt, schemaVersion: String(SCHEMA_VERSION) }
     }
   });
 
   const [meta] = await file.getMetadata();
+  const history = await saveHistory(bucket, file, builtAt, snapshotId);
   return {
     bucket: GCS_BUCKET,
     object: GCS_OBJECT,
     generation: meta?.generation || null,
     updated: meta?.updated || null,
-    snapshotId
+    snapshotId,
+    history
   };
 }
 
-export async function buildSnapshotToSqlite() {
-  ensureFirebase();
-  const firestore = admin.firestore();
-
-  const snapshotId = `live@${new Date().toISOString()}`;
-
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "fv-sqlite-"));
-  const localPath = path.join(tmpDir, "live.sqlite");
-
-  const sqlite = new Database(localPath);
-  createSchema(sqlite);
-
-  // farms
-  const farms = await fetchAllDocs(firestore, "farms", (id, d) => ({
-    id,
-    name: norm(d.name || d.farmName || ""),
-    status: norm(d.status || ""),
-    archived: farmArchivedFromStatus(d.status),
-    data: JSON.stringify(d)
-  }));
-
-  // rtk towers
-  const rtkTowers = await fetchAllDocs(firestore, "rtkTowers", (id, d) => ({
-    id,
-    name: norm(d.name || d.towerName || ""),
-    networkId: norm(d.networkId ?? d.netId ?? ""),
-    frequency: norm(d.frequency ?? d.freq ?? d.frequencyMHz ?? ""),
-    data: JSON.stringify(d)
-  }));
-
-  // fields
-  const fields = await fetchAllDocs(firestore, "fields", (id, d) => ({
-    id,
-    name: norm(d.name || d.fieldName || ""),
-    farmId: norm(d.farmId || ""),
-    farmName: norm(d.farmName || ""),
-    rtkTowerId: norm(d.rtkTowerId || d.rtkId || ""),
-    rtkTowerName: norm(d.rtkTowerName || d.rtkName || ""),
-    county: norm(d.county || ""),
-    state: norm(d.state || ""),
-    acresTillable: numOrNull(d.tillable ?? d.acresTillable ?? d.tillableAcres ?? d.acres ?? null),
-    hasHEL: bool01(d.hasHEL ?? null),
-    helAcres: numOrNull(d.helAcres ?? null),
-    hasCRP: bool01(d.hasCRP ?? null),
-    crpAcres: numOrNull(d.crpAcres ?? null),
-    archived: bool01(d.archived ?? d.isArchived ?? d.inactive ?? null),
-    data: JSON.stringify(d)
-  }));
-
-  // binSites + expanded bins[]
-  const binSitesRaw = await fetchAllDocs(firestore, "binSites", (id, d) => ({
-    id,
-    name: norm(d.name || ""),
-    status: norm(d.status || ""),
-    used: bool01(d.used ?? null),
-    totalBushels: numOrNull(d.totalBushels ?? null),
-    bins: Array.isArray(d.bins) ? d.bins : [],
-    data: JSON.stringify(d)
-  }));
-
-  const binSites = binSitesRaw.map(s => ({
-    id: s.id,
-    name: s.name,
-    status: s.status,
-    used: s.used,
-    totalBushels: s.totalBushels,
-    data: s.data
-  }));
-
-  const binSiteBins = [];
-  for (const s of binSitesRaw) {
-    for (const b of (s.bins || [])) {
-      const binNum = numOrNull(b.num ?? null);
-      if (!binNum) continue;
-
-      binSiteBins.push({
-        siteId: s.id,
-        siteName: s.name,
-        binNum,
-        capacityBushels: numOrNull(b.bushels ?? null),
-        onHandBushels: numOrNull(b.onHand ?? null),
-        lastCropType: norm(b.lastCropType || ""),
-        lastCropMoisture: numOrNull(b.lastCropMoisture ?? null),
-        lastUpdatedMs: numOrNull(b.lastUpdatedMs ?? null),
-        lastUpdatedBy: norm(b.lastUpdatedBy || ""),
-        lastUpdatedUid: norm(b.lastUpdatedUid || "")
-      });
+/**
+ * buildSnapshotToSqlite(opts)
+ *
+ * opts:
+ *  - fromExport (string) optional: Firefoo/JSON export file or directory (offline build)
+ *  - outPath (string) optional: where to write live.sqlite (default: new tmp dir)
+ *  - upload (boolean) optional: upload to GCS (default: true for Firestore, false for exports)
+ *  - incremental (boolean) optional: patch the previous snapshot instead of rebuilding (see header)
+ *  - basePath (string) optional: previous snapshot for incremental builds (default: current GCS object)
+ *  - onProgress (fn) optional: called with { collection, table, state, rows, children, ms } per collection
+ *    and { stage: "audit" | "search" | "upload" } before each post-insert step
+ */
+export async function buildSnapshotToSqlite(opts = {}) {
+  const fromExport = norm(opts.fromExport);
+
+  let source;
+  if (fromExport) {
+    source = exportSource(fromExport);
+  } else {
+    ensureFirebase();
+    source = firestoreSource(admin.firestore());
+  }
+
+  const t0 = Date.now();
+  const upload = (typeof opts.upload === "boolean") ? opts.upload : !fromExport;
+  const progress = (typeof opts.onProgress === "function") ? opts.onProgress : () => {};
+  const snapshotId = `${fromExport ? "export" : "live"}@${new Date().toISOString()}`;
+
+  const localPath = norm(opts.outPath)
+    ? path.resolve(opts.outPath)
+    : path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fv-sqlite-")), "live.sqlite");
+
+  fs.mkdirSync(path.dirname(localPath), { recursive: true });
+  for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(localPath + suffix, { force: true });
+
+  let mode = "full";
+  let fullReason = null;
+  let baseSnapshotId = null;
+  let sqlite = null;
+
+  if (opts.incremental) {
+    fullReason = await prepareBase(opts, localPath, fromExport);
+    if (!fullReason) {
+      sqlite = new Database(localPath);
+      fullReason = baseMismatch(sqlite);
+      if (fullReason) {
+        sqlite.close();
+        sqlite = null;
+      } else {
+        mode = "incremental";
+        baseSnapshotId = metaValue(sqlite, "snapshotId");
+      }
+    }
+    if (fullReason) {
+      console.warn(`[snapshot-build] incremental build falling back to full: ${fullReason}`);
+      for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(localPath + suffix, { force: true });
     }
   }
 
-  // inventoryGrainBagMovements (SKU inventory -> productId)
-  const inventoryGrainBagMovements = await fetchAllDocs(firestore, "inventoryGrainBagMovements", (id, d) => {
-    const productRefPath = norm((d.productRef && typeof d.productRef === "object") ? (d.productRef.__ref__ || "") : (d.productRef || ""));
-    const productId = parseProductIdFromRef(d.productRef);
-
-    return {
-      id,
-
-      brand: norm(d.brand || ""),
-      diameterFt: numOrNull(d.diameterFt ?? null),
-      lengthFt: numOrNull(d.lengthFt ?? null),
-      thicknessMil: numOrNull(d.thicknessMil ?? null),
-      location: norm(d.location || ""),
-
-      qty: numOrNull(d.qty ?? null),
-      onHand: numOrNull(d.onHand ?? null),
-      type: norm(d.type || ""),
-      status: norm(d.status || ""),
-
-      productId: norm(productId || ""),
-      productRefPath,
-
-      lastManualAdjustmentISO: toISO(d.lastManualAdjustment),
-      lastManualAdjustmentMs: toMs(d.lastManualAdjustment),
-      lastManualAdjustmentReason: norm(d.lastManualAdjustmentReason || ""),
-      lastManualAdjustmentRemoveQty: numOrNull(d.lastManualAdjustmentRemoveQty ?? null),
-      lastManualAdjustmentUser: norm(d.lastManualAdjustmentUser || ""),
-
-      createdAtISO: toISO(d.createdAt),
-      createdAtMs: toMs(d.createdAt),
-      updatedAtISO: toISO(d.updatedAt),
-      updatedAtMs: toMs(d.updatedAt),
-
-      data: JSON.stringify(d)
-    };
+  if (sqlite) {
+    reopenBase(sqlite);
+  } else {
+    sqlite = new Database(localPath);
+    createSchema(sqlite);
+  }
+
+  const deltas = {};
+  for (const spec of SNAPSHOT_TABLES) {
+    const started = Date.now();
+    progress({ collection: spec.collection, table: spec.table, state: "running" });
+
+    let mapped;
+    let delta = null;
+    if (mode === "incremental" && spec.incremental) {
+      ({ mapped, delta } = await applyDelta(sqlite, source, spec));
+      deltas[spec.table] = delta;
+    } else {
+      mapped = await source.fetchAll(spec.collection, (id, d) => mapDoc(spec, id, d));
+      if (mode === "incremental") clearTables(sqlite, spec);
+    }
+
+    const rows = insertRows(sqlite, spec.table, mapped.map((m) => m.row));
+    const children = {};
+    for (const child of (spec.children || [])) {
+      children[child.table] = insertRows(sqlite, child.table, mapped.flatMap((m) => m.children[child.table] || []));
+    }
+
+    progress({ collection: spec.collection, table: spec.table, state: "done", rows, children, delta, ms: Date.now() - started });
+  }
+
+  const counts = {};
+  for (const t of allTables()) {
+    counts[t.table] = sqlite.prepare(`SELECT COUNT(1) AS n FROM ${t.table}`).get().n;
+  }
+
+  progress({ stage: "audit" });
+  const issues = runAudit(sqlite);
+
+  progress({ stage: "search" });
+  const search = buildSearchIndex(sqlite);
+
+  const buildMs = Date.now() - t0;
+  const builtAt = new Date().toISOString();
+  writeSnapshotMeta(sqlite, {
+    snapshotId,
+    builderRev: BUILDER_REV,
+    schemaVersion: SCHEMA_VERSION,
+    builtAt,
+    buildMs,
+    source: source.kind,
+    mode,
+    baseSnapshotId,
+    deltas: mode === "incremental" ? deltas : null,
+    counts,
+    issues,
+    search
   });
 
-  // grain_bag_events + appliedTo rows
-  const appliedToRows = [];
+  sqlite.close();
 
-  const grainBagEvents = await fetchAllDocs(firestore, "grain_bag_events", (id, d) => {
-    const bagSku = (d.bagSku && typeof d.bagSku === "object") ? d.bagSku : {};
-    const counts = (d.counts && typeof d.counts === "object") ? d.counts : {};
-    const field = (d.field && typeof d.field === "object") ? d.field : {};
-    const submittedBy = (d.submittedBy && typeof d.submittedBy === "object") ? d.submittedBy : {};
+  if (upload) progress({ stage: "upload" });
+  const remote = upload ? await uploadToGcs(localPath, snapshotId, builtAt) : null;
+  return {
+    ok: true,
+    snapshotId,
+    builderRev: BUILDER_REV,
+    schemaVersion: SCHEMA_VERSION,
+    builtAt,
+    buildMs,
+    mode,
+    fullReason,
+    baseSnapshotId,
+    deltas: mode === "incremental" ? deltas : null,
+    source: { kind: source.kind, path: source.path || null },
+    counts,
+    issues,
+    search,
+    localPath,
+    gcs: remote
+  };
+}
 
-    // ✅ Correct sources for partial feet/usage (with legacy fallbacks)
-    const pf = Array.isArray(counts.partialFeet)
-      ? counts.partialFeet
-      : (Array.isArray(d.partialFeet) ? d.partialFeet : []);
+/* ----------------------------- build jobs (HTTP) ----------------------------- */
+const jobs = new Map();
+let activeJobId = null;
 
-    const pu = Array.isArray(counts.partialUsage)
-      ? counts.partialUsage
-      : (Array.isArray(d.partialUsage) ? d.partialUsage : []);
+function isPreconditionFailed(e) {
+  return Number(e?.code) === 412;
+}
 
-    let pfSum = 0;
-    for (const v of pf) {
-      const n = Number(v);
-      if (Number.isFinite(n) && n > 0) pfSum += n;
-    }
+async function acquireGcsLock(jobId) {
+  const file = storage.bucket(GCS_BUCKET).file(LOCK_OBJECT);
+  const body = JSON.stringify({ jobId, startedAt: new Date().toISOString() });
+  const create = () => file.save(body, {
+    resumable: false,
+    contentType: "application/json",
+    preconditionOpts: { ifGenerationMatch: 0 }
+  });
 
-    const type = norm(d.type || "");
-    const status = norm(d.status || "");
-
-    // ✅ Explode appliedTo for pickUp events (type='pickUp')
-    if (type === "pickup") {
-      const applied = Array.isArray(d.appliedTo) ? d.appliedTo : [];
-      for (const a of applied) {
-        if (!a) continue;
-        const refPutDownId = norm(a.refPutDownId || "");
-        if (!refPutDownId) continue;
-
-        appliedToRows.push({
-          pickUpId: id,
-          refPutDownId,
-          takeFull: (numOrNull(a.takeFull ?? 0) ?? 0) | 0,
-          takePartial: (numOrNull(a.takePartial ?? 0) ?? 0) | 0,
-          cropType: norm(d.cropType || d.crop || ""),
-          cropYear: numOrNull(d.cropYear ?? null),
-          fieldId: norm(field.id || d.field?.id || ""),
-          fieldName: norm(field.name || d.field?.name || ""),
-          pickedUpDate: norm(d.pickedUpDate || d.datePickedUp || ""),
-          createdAtISO: toISO(d.createdAt),
-          createdAtMs: toMs(d.createdAt)
-        });
-      }
+  try {
+    await create();
+  } catch (e) {
+    if (!isPreconditionFailed(e)) throw e;
+
+    // someone holds it; take over only if it was abandoned
+    const [meta] = await file.getMetadata();
+    const ageMs = Date.now() - Date.parse(meta?.updated || 0);
+    if (ageMs < LOCK_TTL_MS) {
+      const err = new Error(`Snapshot build already running (lock gs://${GCS_BUCKET}/${LOCK_OBJECT})`);
+      err.status = 409;
+      throw err;
     }
 
-    // PutDown stores SKU and counts; PickUp may not, but we keep columns safe
-    return {
-      id,
+    await file.delete({ ifGenerationMatch: meta.generation }).catch(() => {});
+    await create();
+  }
 
-      type,
-      status,
-      datePlaced: norm(d.datePlaced || d.dateISO || ""),
-      cropType: norm(d.cropType || d.crop || ""),
-      cropYear: numOrNull(d.cropYear ?? null),
-      cropMoisture: numOrNull(d.cropMoisture ?? null),
+  const [meta] = await file.getMetadata();
+  return { bucket: GCS_BUCKET, object: LOCK_OBJECT, generation: meta?.generation || null };
+}
 
-      fieldId: norm(field.id || ""),
-      fieldName: norm(field.name || ""),
+async function releaseGcsLock(lock) {
+  if (!lock) return;
+  try {
+    await storage.bucket(lock.bucket).file(lock.object).delete({ ifGenerationMatch: lock.generation });
+  } catch (e) {
+    console.warn(`[snapshot-build] lock release failed: ${e?.message || String(e)}`);
+  }
+}
 
-      // IMPORTANT: bagSku.id is the INVENTORY SKU id (inventoryGrainBagMovements.id)
-      bagSkuId: norm(bagSku.id || ""),
-      bagBrand: norm(bagSku.brand || ""),
-      bagDiameterFt: numOrNull(bagSku.diameterFt ?? null),
-      bagSizeFeet: numOrNull(bagSku.sizeFeet ?? null),
+// touch the lock (bumps its `updated` time) while the job runs; returns stop()
+function startLockHeartbeat(lock) {
+  if (!lock) return () => {};
+  const file = storage.bucket(lock.bucket).file(lock.object);
+  const timer = setInterval(() => {
+    file.setMetadata({ metadata: { heartbeatAt: new Date().toISOString() } }, { ifGenerationMatch: lock.generation })
+      .catch((e) => console.warn(`[snapshot-build] lock heartbeat failed: ${e?.message || String(e)}`));
+  }, LOCK_HEARTBEAT_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
 
-      countFull: numOrNull(counts.full ?? null),
-      countPartial: numOrNull(counts.partial ?? null),
+function trimJobs() {
+  for (const id of jobs.keys()) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (id !== activeJobId) jobs.delete(id);
+  }
+}
 
-      partialFeetJson: JSON.stringify(pf),
-      partialFeetSum: numOrNull(pfSum),
-      partialUsageJson: JSON.stringify(pu),
+function onJobProgress(job, ev) {
+  if (ev.stage) {
+    job.stage = ev.stage;
+    return;
+  }
+  job.stage = "collections";
+  const c = job.collections[ev.collection];
+  c.state = ev.state;
+  if (ev.state === "done") {
+    c.rows = ev.rows;
+    c.children = ev.children;
+    c.delta = ev.delta || null;
+    c.ms = ev.ms;
+  }
+}
 
-      priority: numOrNull(d.priority ?? field.priority ?? null),
-      priorityReason: norm(d.priorityReason || field.priorityReason || ""),
+/**
+ * startBuildJob(opts)
+ * Starts buildSnapshotToSqlite() in the background and returns the job record.
+ * Throws (status 409) if a build is already running here or (when uploading) on another instance.
+ */
+export async function startBuildJob(opts = {}) {
+  if (activeJobId) {
+    const err = new Error("Snapshot build already running");
+    err.status = 409;
+    err.jobId = activeJobId;
+    throw err;
+  }
 
-      submittedByEmail: norm(submittedBy.email || d.submittedByUid || ""),
-      submittedByName: norm(submittedBy.name || d.submittedBy || ""),
+  const upload = opts.upload !== false;
+  const incremental = opts.incremental === true;
+  const jobId = `build-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  activeJobId = jobId;
 
-      createdAtISO: toISO(d.createdAt),
-      createdAtMs: toMs(d.createdAt),
-      updatedAtISO: toISO(d.updatedAt),
-      updatedAtMs: toMs(d.updatedAt),
+  let lock = null;
+  try {
+    if (upload) lock = await acquireGcsLock(jobId);
+  } catch (e) {
+    activeJobId = null;
+    throw e;
+  }
 
-      data: JSON.stringify(d)
-    };
-  });
+  const collections = {};
+  for (const spec of SNAPSHOT_TABLES) {
+    collections[spec.collection] = { table: spec.table, state: "pending", rows: null, children: null, ms: null };
+  }
 
-  // productsGrainBags
-  const productsGrainBags = await fetchAllDocs(firestore, "productsGrainBags", (id, d) => ({
-    id,
-    brand: norm(d.brand || ""),
-    diameterFt: numOrNull(d.diameterFt ?? null),
-    lengthFt: numOrNull(d.lengthFt ?? null),
-    thicknessMil: numOrNull(d.thicknessMil ?? null),
-    status: norm(d.status || ""),
-    notes: norm(d.notes || ""),
-
-    // baseline: Firestore "bushels" stored as corn-rated capacity
-    bushelsCorn: numOrNull(d.bushels ?? null),
-
-    soyPct: numOrNull(d.soyPct ?? d.soybeanPct ?? null),
-    wheatPct: numOrNull(d.wheatPct ?? null),
-
-    bushelsSoy: numOrNull(d.bushelsSoy ?? d.soyBushels ?? null),
-    bushelsWheat: numOrNull(d.bushelsWheat ?? d.wheatBushels ?? null),
-
-    createdAtISO: toISO(d.createdAt),
-    createdAtMs: toMs(d.createdAt),
-    updatedAtISO: toISO(d.updatedAt),
-    updatedAtMs: toMs(d.updatedAt),
-
-    data: JSON.stringify(d)
-  }));
-
-  insertRows(sqlite, "farms", farms);
-  insertRows(sqlite, "rtkTowers", rtkTowers);
-  insertRows(sqlite, "fields", fields);
-  insertRows(sqlite, "binSites", binSites);
-  if (binSiteBins.length) insertRows(sqlite, "binSiteBins", binSiteBins);
-
-  if (inventoryGrainBagMovements.length) insertRows(sqlite, "inventoryGrainBagMovements", inventoryGrainBagMovements);
-
-  if (grainBagEvents.length) insertRows(sqlite, "grainBagEvents", grainBagEvents);
-  if (appliedToRows.length) insertRows(sqlite, "grainBagAppliedTo", appliedToRows);
-  if (productsGrainBags.length) insertRows(sqlite, "productsGrainBags", productsGrainBags);
-
-  const counts = {
-    farms: sqlite.prepare("SELECT COUNT(1) AS n FROM farms").get().n,
-    rtkTowers: sqlite.prepare("SELECT COUNT(1) AS n FROM rtkTowers").get().n,
-    fields: sqlite.prepare("SELECT COUNT(1) AS n FROM fields").get().n,
-    binSites: sqlite.prepare("SELECT COUNT(1) AS n FROM binSites").get().n,
-    binSiteBins: sqlite.prepare("SELECT COUNT(1) AS n FROM binSiteBins").get().n,
-    inventoryGrainBagMovements: sqlite.prepare("SELECT COUNT(1) AS n FROM inventoryGrainBagMovements").get().n,
-    grainBagEvents: sqlite.prepare("SELECT COUNT(1) AS n FROM grainBagEvents").get().n,
-    grainBagAppliedTo: sqlite.prepare("SELECT COUNT(1) AS n FROM grainBagAppliedTo").get().n,
-    productsGrainBags: sqlite.prepare("SELECT COUNT(1) AS n FROM productsGrainBags").get().n
+  const job = {
+    jobId,
+    state: "running",
+    stage: "starting",
+    upload,
+    incremental,
+    mode: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    collections,
+    snapshotId: null,
+    counts: null,
+    gcs: null,
+    error: null
   };
+  jobs.set(jobId, job);
+  trimJobs();
+
+  const stopHeartbeat = startLockHeartbeat(lock);
+  const t0 = Date.now();
+  buildSnapshotToSqlite({ upload, incremental, onProgress: (ev) => onJobProgress(job, ev) })
+    .then((result) => {
+      job.state = "done";
+      job.mode = result.mode;
+      job.snapshotId = result.snapshotId;
+      job.counts = result.counts;
+      job.gcs = result.gcs;
+      // the built file is not served from here; drop the tmp copy
+      fs.rmSync(path.dirname(result.localPath), { recursive: true, force: true });
+    })
+    .catch((e) => {
+      job.state = "failed";
+      job.error = e?.message || String(e);
+      for (const c of Object.values(job.collections)) if (c.state === "running") c.state = "failed";
+      console.error(`[snapshot-build] ${jobId} failed: ${job.error}`);
+    })
+    .finally(async () => {
+      stopHeartbeat();
+      await releaseGcsLock(lock);
+      job.stage = job.state;
+      job.finishedAt = new Date().toISOString();
+      job.durationMs = Date.now() - t0;
+      activeJobId = null;
+    });
+
+  return job;
+}
 
-  sqlite.close();
+export function getBuildJob(jobId) {
+  return jobs.get(jobId) || null;
+}
 
-  const remote = await uploadToGcs(localPath, snapshotId);
-  return { ok: true, snapshotId, counts, localPath, gcs: remote };
+function checkBuildToken(req, res) {
+  const want = (process.env.FV_BUILD_TOKEN || "").toString().trim();
+  if (!want) {
+    res.status(503).json({ ok: false, error: "snapshot build disabled (FV_BUILD_TOKEN not set)" });
+    return false;
+  }
+
+  const bearer = (req.get("authorization") || "").toString().replace(/^Bearer\s+/i, "");
+  const got = (req.get("x-build-token") || bearer || "").toString().trim();
+  if (got !== want) {
+    res.status(401).json({ ok: false, error: "unauthorized" });
+    return false;
+  }
+  return true;
 }
 
+// POST /snapshot/build  body: { upload?: boolean, incremental?: boolean }  -> 202 { jobId }
 export async function buildSnapshotHttp(req, res) {
   try {
-    const want = (process.env.FV_BUILD_TOKEN || "").toString().trim();
-    if (want) {
-      const got = (req.get("x-build-token") || "").toString().trim();
-      if (got !== want) return res.status(401).json({ ok: false, error: "unauthorized" });
-    }
+    if (!checkBuildToken(req, res)) return;
+
+    const job = await startBuildJob({
+      upload: req.body?.upload !== false,
+      incremental: req.body?.incremental === true
+    });
+    res.status(202).json({ ok: true, jobId: job.jobId, statusUrl: `/snapshot/build/${job.jobId}`, job });
+  } catch (e) {
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e), jobId: e?.jobId || undefined });
+  }
+}
+
+// GET /snapshot/build/:jobId
+export async function buildSnapshotStatusHttp(req, res) {
+  try {
+    if (!checkBuildToken(req, res)) return;
+
+    const job = getBuildJob((req.params.jobId || "").toString().trim());
+    if (!job) return res.status(404).json({ ok: false, error: "unknown jobId" });
 
-    const result = await buildSnapshotToSqlite();
-    res.json(result);
+    const durationMs = job.durationMs ?? (Date.now() - Date.parse(job.startedAt));
+    res.json({ ok: true, ...job, durationMs });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
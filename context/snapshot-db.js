@@ -1,79 +1,500 @@
 // /context/snapshot-db.js  (FULL FILE)
-// Rev: 2026-01-10-snapshotDb-gcs1
+// Rev: 2026-10-19-snapshotDb-search9
 //
-// Loads FarmVista SQLite snapshot from GCS into /tmp and opens read-only.
+// Loads FarmVista SQLite snapshot from a pluggable SOURCE into /tmp and opens read-only.
 // ✅ ensureDbReady()
-// ✅ reloadDbFromGcs()
+// ✅ reloadDbFromGcs()  (reloads from whatever source is configured; name kept for callers)
 // ✅ getDb(), getDbStatus()
+// ✅ withDb(fn)  (pins the current handle for an async request; survives a hot-swap)
+// ✅ withDb(fn, { asOf })  (pins the snapshot nearest to asOf instead; see "As-of snapshots")
+// ✅ listSnapshotHistory()
+// ✅ acquireSnapshot(ref)  ("live" | date | ISO -> leased handle + info; caller must release())
+// ✅ lastChange in /db/status: diff summary (context/snapshot-diff.js) of each hot-swap vs the previous snapshot
+//
+// Sources (FV_SNAPSHOT_SOURCE):
+// - unset                     -> GCS using FV_GCS_BUCKET / FV_GCS_OBJECT (defaults below)
+// - gs://bucket/object        -> GCS
+// - file:///path/live.sqlite  -> local file (copied into /tmp)
+// - file:///path/dir/         -> watched local directory (newest *.sqlite wins, reloads on change)
+//
+// Last-known-good fallback:
+// - downloads land in a temp file and are renamed over LOCAL_DB_PATH only when complete
+// - if the source is unreachable and a local copy exists, we serve it with stale=true
+//   (reason in /db/status) instead of throwing
+//
+// Hot-swap on reload:
+// - temp file is verified (opens, PRAGMA integrity_check = ok, has a fields table)
+//   and switched to journal_mode=DELETE before it replaces LOCAL_DB_PATH
+// - the new handle is swapped in with one assignment; the old handle is retired and
+//   closed only after every withDb() lease on it is released
+// - concurrent ensureDbReady()/reload calls share one in-flight load; a forced reload arriving during a
+//   non-forced load (startup may reuse the local copy) runs again right after it instead of joining it
+//
+// Schema compatibility (_snapshot_meta written by snapshot-build.js):
+// - schemaVersion < MIN_SCHEMA_VERSION           -> refused (a download falls back to last-known-good)
+// - no _snapshot_meta (legacy) / newer version   -> loaded with a warning
+//   (FV_SNAPSHOT_SCHEMA_STRICT=1 refuses these too)
+// - builder rev / version / build time / warnings show under `schema` in /db/status
+// - counts in /db/status cover every table in the snapshot (FTS5 shadow tables of _search excluded)
+// - canonical views (context/snapshot-views.js) missing from an older snapshot are created as
+//   TEMP views on open (live and history handles); which ones show under `schema.views`
+//
+// As-of snapshots (history written by snapshot-build.js under FV_GCS_HISTORY_PREFIX):
+// - gcs source: objects under the history prefix (builtAt from custom metadata, else timeCreated)
+// - dir source: every *.sqlite in the directory (mtime); file source: no history
+// - asOf "YYYY-MM-DD" means end of that UTC day; picks the newest snapshot built at/before it
+//   (oldest one, with a note, when asOf predates all history); asOf at/after the live build -> live
+// - past snapshots are downloaded to TMP_DIR/history, verified, opened read-only and kept
+//   open (at most FV_HISTORY_OPEN_MAX, default 3; evicted handles close once released and their
+//   local copy is deleted then, so /tmp - memory on Cloud Run - holds at most that many)
+// - cached per name + source generation (GCS generation / file mtime): a rewritten file is fetched again
+//
+// Generation watcher (FV_SNAPSHOT_POLL_MS, default 60000; 0 disables):
+// - polls source.stat() in the background and reloads only when the generation changes
+// - lastCheckAt / lastChangeAt / lastError are reported under `watcher` in /db/status
 
 'use strict';
 
 import fs from "fs";
 import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
 import { Storage } from "@google-cloud/storage";
 import Database from "better-sqlite3";
 
-const storage = new Storage();
+import { SCHEMA_VERSION, MIN_SCHEMA_VERSION, META_TABLE } from "./snapshot-tables.js";
+import { diffSnapshots } from "./snapshot-diff.js";
+import { ensureViews } from "./snapshot-views.js";
+import { SEARCH_TABLE } from "./snapshot-search.js";
 
 const TMP_DIR = process.env.FV_SQLITE_TMP_DIR || "/tmp/fv-copilot";
 const LOCAL_DB_PATH = path.join(TMP_DIR, "live.sqlite");
+const LOCAL_META_PATH = `${LOCAL_DB_PATH}.meta.json`;
 
 // Prefer explicit bucket+object (easiest to manage)
 const GCS_BUCKET = (process.env.FV_GCS_BUCKET || "dowsonfarms-illinois.firebasestorage.app").toString();
 const GCS_OBJECT = (process.env.FV_GCS_OBJECT || "copilot-snapshots/live.sqlite").toString();
 
+const SOURCE_URI = (process.env.FV_SNAPSHOT_SOURCE || "").toString().trim();
+
+const SCHEMA_STRICT = (process.env.FV_SNAPSHOT_SCHEMA_STRICT || "").toString().trim() === "1";
+
+const POLL_MS = Math.max(0, Number(process.env.FV_SNAPSHOT_POLL_MS ?? 60000) || 0);
+
+const HISTORY_PREFIX = (process.env.FV_GCS_HISTORY_PREFIX || `${path.posix.dirname(GCS_OBJECT)}/history/`).toString();
+const HISTORY_DIR = path.join(TMP_DIR, "history");
+const HISTORY_OPEN_MAX = Math.max(1, Number(process.env.FV_HISTORY_OPEN_MAX || 3));
+const HISTORY_LIST_TTL_MS = 5 * 60 * 1000;
+
+let storage = null;
+function getStorage() {
+  if (!storage) storage = new Storage();
+  return storage;
+}
+
+/* ----------------------------- sources ----------------------------- */
+// Every source implements:
+//   kind, uri
+//   stat()          -> { generation, updated, snapshotId }
+//   fetchTo(dest)   -> same shape as stat(), after writing the snapshot to dest
+//   watch(onChange) -> optional; returns a closer
+//   listHistory()   -> [{ name, builtAt, snapshotId }] past snapshots (may be empty)
+//   fetchHistoryTo(entry, dest)
+
+function gcsSource(bucket, object) {
+  const file = () => getStorage().bucket(bucket).file(object);
+
+  async function stat() {
+    const [meta] = await file().getMetadata();
+    // If you set customMetadata.snapshotId during upload, we’ll capture it:
+    const snapId = meta?.metadata?.snapshotId || null;
+    return {
+      generation: meta?.generation || null,
+      updated: meta?.updated || null,
+      snapshotId: snapId || (meta?.generation ? `gcsgen:${meta.generation}` : null)
+    };
+  }
+
+  return {
+    kind: "gcs",
+    uri: `gs://${bucket}/${object}`,
+    bucket,
+    object,
+    stat,
+    async fetchTo(dest) {
+      await file().download({ destination: dest });
+      return stat();
+    },
+    async listHistory() {
+      const [files] = await getStorage().bucket(bucket).getFiles({ prefix: HISTORY_PREFIX });
+      return files
+        .filter((f) => f.name.toLowerCase().endsWith(".sqlite"))
+        .map((f) => ({
+          name: f.name,
+          builtAt: f.metadata?.metadata?.builtAt || f.metadata?.timeCreated || null,
+          snapshotId: f.metadata?.metadata?.snapshotId || null,
+          generation: f.metadata?.generation || null
+        }));
+    },
+    async fetchHistoryTo(entry, dest) {
+      await getStorage().bucket(bucket).file(entry.name).download({ destination: dest });
+    }
+  };
+}
+
+function fileStat(p) {
+  const st = fs.statSync(p);
+  const updated = st.mtime.toISOString();
+  return {
+    generation: `${path.basename(p)}:${Math.trunc(st.mtimeMs)}`,
+    updated,
+    snapshotId: `file:${path.basename(p)}@${updated}`
+  };
+}
+
+function fileSource(p) {
+  return {
+    kind: "file",
+    uri: `file://${p}`,
+    async stat() { return fileStat(p); },
+    async fetchTo(dest) {
+      fs.copyFileSync(p, dest);
+      return fileStat(p);
+    },
+    async listHistory() { return []; },
+    async fetchHistoryTo() { throw new Error("file source has no snapshot history"); }
+  };
+}
+
+function dirSource(dir) {
+  function snapshots() {
+    return fs.readdirSync(dir)
+      .filter((f) => f.toLowerCase().endsWith(".sqlite"))
+      .map((f) => path.join(dir, f))
+      .map((p) => ({ p, mtimeMs: fs.statSync(p).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  function newest() {
+    const files = snapshots();
+    if (!files.length) throw new Error(`No .sqlite snapshot in ${dir}`);
+    return files[0].p;
+  }
+
+  return {
+    kind: "dir",
+    uri: `file://${dir}/`,
+    async stat() { return fileStat(newest()); },
+    async fetchTo(dest) {
+      const p = newest();
+      fs.copyFileSync(p, dest);
+      return fileStat(p);
+    },
+    watch(onChange) {
+      let timer = null;
+      const w = fs.watch(dir, (_event, name) => {
+        if (name && !String(name).toLowerCase().endsWith(".sqlite")) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, 1000); // let the writer finish
+      });
+      return () => { clearTimeout(timer); w.close(); };
+    },
+    async listHistory() {
+      return snapshots().map((f) => ({
+        name: path.basename(f.p),
+        builtAt: new Date(f.mtimeMs).toISOString(),
+        snapshotId: fileStat(f.p).snapshotId,
+        generation: fileStat(f.p).generation
+      }));
+    },
+    async fetchHistoryTo(entry, dest) {
+      fs.copyFileSync(path.join(dir, entry.name), dest);
+    }
+  };
+}
+
+function parseSource(uri) {
+  if (!uri) return gcsSource(GCS_BUCKET, GCS_OBJECT);
+
+  if (uri.startsWith("gs://")) {
+    const rest = uri.slice("gs://".length);
+    const i = rest.indexOf("/");
+    if (i <= 0) throw new Error(`Bad FV_SNAPSHOT_SOURCE (want gs://bucket/object): ${uri}`);
+    return gcsSource(rest.slice(0, i), rest.slice(i + 1));
+  }
+
+  if (uri.startsWith("file://")) {
+    const p = path.resolve(uri.slice("file://".length));
+    const isDir = uri.endsWith("/") || (fs.existsSync(p) && fs.statSync(p).isDirectory());
+    return isDir ? dirSource(p) : fileSource(p);
+  }
+
+  throw new Error(`Unsupported FV_SNAPSHOT_SOURCE: ${uri}`);
+}
+
+const source = parseSource(SOURCE_URI);
+
+/* ----------------------------- state ----------------------------- */
 let db = null;
+let loading = null;
+let loadingForced = false;
+let stopWatch = null;
+let pollTimer = null;
+
+// handle -> active withDb() leases; retired handles close when their count drops to 0
+const leases = new Map();
+const retired = new Set();
+// handle -> local file deleted when the handle closes (evicted as-of snapshots)
+const removeOnClose = new Map();
+const pinned = new AsyncLocalStorage();
+
+// as-of snapshots: name -> { handle, info }, Map order = least recently used first
+const historyOpen = new Map();
+const historyLoading = new Map();
+let historyList = { at: 0, entries: null };
+
 let dbMeta = {
   loadedAt: null,
-  gcs: { bucket: GCS_BUCKET, object: GCS_OBJECT, generation: null, updated: null },
+  source: { kind: source.kind, uri: source.uri, generation: null, updated: null },
+  gcs: source.kind === "gcs"
+    ? { bucket: source.bucket, object: source.object, generation: null, updated: null }
+    : null,
   snapshot: { id: null, loadedAt: null },
+  stale: false,
+  staleReason: null,
+  schema: null,
+  lastChange: null,
   counts: {}
 };
 
+const watcher = {
+  intervalMs: POLL_MS,
+  running: false,
+  checks: 0,
+  reloads: 0,
+  errors: 0,
+  lastCheckAt: null,
+  lastChangeAt: null,
+  lastError: null,
+  lastErrorAt: null
+};
+
 function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
 }
 
-async function statRemote() {
-  const file = storage.bucket(GCS_BUCKET).file(GCS_OBJECT);
-  const [meta] = await file.getMetadata();
-  return meta;
+function applyRemoteMeta(remote) {
+  dbMeta.source.generation = remote?.generation || null;
+  dbMeta.source.updated = remote?.updated || null;
+  if (dbMeta.gcs) {
+    dbMeta.gcs.generation = dbMeta.source.generation;
+    dbMeta.gcs.updated = dbMeta.source.updated;
+  }
+  dbMeta.snapshot.id = remote?.snapshotId || dbMeta.snapshot.id;
+}
+
+function readLocalMeta() {
+  try {
+    return JSON.parse(fs.readFileSync(LOCAL_META_PATH, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function removeSqliteFiles(p) {
+  for (const suffix of ["", "-wal", "-shm", "-journal"]) fs.rmSync(p + suffix, { force: true });
+}
+
+function readSnapshotMeta(handle) {
+  const has = handle.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`).get(META_TABLE);
+  if (!has) return null;
+
+  const meta = {};
+  for (const r of handle.prepare(`SELECT key, value FROM ${META_TABLE}`).all()) meta[r.key] = r.value;
+  let counts = null;
+  try { counts = JSON.parse(meta.counts || "null"); } catch {}
+
+  return {
+    snapshotId: meta.snapshotId || null,
+    builderRev: meta.builderRev || null,
+    schemaVersion: Number(meta.schemaVersion) || 0,
+    builtAt: meta.builtAt || null,
+    buildMs: Number(meta.buildMs) || null,
+    source: meta.source || null,
+    counts
+  };
+}
+
+/**
+ * checkSchema(handle)
+ * -> { version, builderRev, builtAt, buildMs, snapshotId, builtCounts, warnings }
+ * Throws when the snapshot can't be served by this build of the getters.
+ */
+function checkSchema(handle) {
+  const meta = readSnapshotMeta(handle);
+  const warnings = [];
+
+  if (!meta) {
+    warnings.push(`Legacy snapshot: no ${META_TABLE} table (schema version unknown)`);
+  } else if (meta.schemaVersion < MIN_SCHEMA_VERSION) {
+    throw new Error(`Snapshot schemaVersion ${meta.schemaVersion} is older than supported ${MIN_SCHEMA_VERSION} (builder ${meta.builderRev || "unknown"})`);
+  } else if (meta.schemaVersion > SCHEMA_VERSION) {
+    warnings.push(`Snapshot schemaVersion ${meta.schemaVersion} is newer than this server (${SCHEMA_VERSION}); getters rely on column probing`);
+  }
+
+  if (warnings.length && SCHEMA_STRICT) {
+    throw new Error(`Snapshot refused (FV_SNAPSHOT_SCHEMA_STRICT=1): ${warnings.join("; ")}`);
+  }
+
+  return {
+    version: meta?.schemaVersion ?? null,
+    supported: { min: MIN_SCHEMA_VERSION, current: SCHEMA_VERSION },
+    builderRev: meta?.builderRev || null,
+    builtAt: meta?.builtAt || null,
+    buildMs: meta?.buildMs ?? null,
+    snapshotId: meta?.snapshotId || null,
+    builtCounts: meta?.counts || null,
+    warnings
+  };
+}
+
+function verifySnapshot(p) {
+  // read-write on our private temp copy: DELETE journal mode means readers never share a -shm
+  const check = new Database(p, { fileMustExist: true });
+  try {
+    check.pragma("journal_mode = DELETE");
+
+    const result = check.pragma("integrity_check", { simple: true });
+    if (result !== "ok") throw new Error(`Snapshot integrity_check failed: ${result}`);
+
+    const hasFields = check.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='fields'`).get();
+    if (!hasFields) throw new Error("Snapshot has no fields table");
+
+    checkSchema(check);
+  } finally {
+    check.close();
+  }
 }
 
 async function downloadRemoteToLocal() {
   ensureDir(TMP_DIR);
 
-  const file = storage.bucket(GCS_BUCKET).file(GCS_OBJECT);
-  await file.download({ destination: LOCAL_DB_PATH });
+  // download next to the live copy, then rename: a failed fetch never clobbers last-known-good
+  const tmpPath = `${LOCAL_DB_PATH}.${process.pid}.${Date.now()}.part`;
+  try {
+    const remote = await source.fetchTo(tmpPath);
+    verifySnapshot(tmpPath);
+
+    // rename is atomic; an open handle on the previous file keeps reading its old inode
+    fs.renameSync(tmpPath, LOCAL_DB_PATH);
+    fs.writeFileSync(LOCAL_META_PATH, JSON.stringify(remote));
 
-  const remoteMeta = await statRemote();
-  dbMeta.gcs.generation = remoteMeta?.generation || null;
-  dbMeta.gcs.updated = remoteMeta?.updated || null;
+    applyRemoteMeta(remote);
+    dbMeta.snapshot.loadedAt = new Date().toISOString();
+    dbMeta.stale = false;
+    dbMeta.staleReason = null;
+  } finally {
+    removeSqliteFiles(tmpPath);
+  }
+}
+
+function markStale(err) {
+  const local = readLocalMeta();
+  if (local) applyRemoteMeta(local);
+  dbMeta.snapshot.loadedAt = dbMeta.snapshot.loadedAt || new Date().toISOString();
+  dbMeta.stale = true;
+  dbMeta.staleReason = `Snapshot refresh from ${source.uri} failed; serving last-known-good local copy: ${err?.message || String(err)}`;
+  console.warn(`[snapshot-db] ${dbMeta.staleReason}`);
+}
+
+function closeHandle(handle) {
+  retired.delete(handle);
+  try { handle.close(); } catch {}
+  const file = removeOnClose.get(handle);
+  if (file) {
+    removeOnClose.delete(handle);
+    try { removeSqliteFiles(file); } catch (e) { console.warn(`[snapshot-db] could not remove ${file}: ${e?.message || e}`); }
+  }
+}
 
-  // If you set customMetadata.snapshotId during upload, we’ll capture it:
-  const snapId = remoteMeta?.metadata?.snapshotId || null;
-  dbMeta.snapshot.id = snapId || (remoteMeta?.generation ? `gcsgen:${remoteMeta.generation}` : null);
-  dbMeta.snapshot.loadedAt = new Date().toISOString();
+function retire(handle) {
+  if (!handle) return;
+  if (leases.get(handle)) retired.add(handle);
+  else closeHandle(handle);
 }
 
-function closeDb() {
-  try { if (db) db.close(); } catch {}
-  db = null;
+function release(handle) {
+  const n = (leases.get(handle) || 0) - 1;
+  if (n > 0) {
+    leases.set(handle, n);
+    return;
+  }
+  leases.delete(handle);
+  if (retired.has(handle)) closeHandle(handle);
 }
 
-function openDbReadOnly() {
-  closeDb();
-  db = new Database(LOCAL_DB_PATH, { readonly: true, fileMustExist: true });
-  db.pragma("query_only = ON");
+/**
+ * openReadOnly(p) -> { handle, views }
+ * TEMP views must be created before query_only is switched on.
+ */
+function openReadOnly(p) {
+  const handle = new Database(p, { readonly: true, fileMustExist: true });
+  const views = ensureViews(handle);
+  handle.pragma("query_only = ON");
+  for (const [name, msg] of Object.entries(views.failed)) {
+    console.warn(`[snapshot-db] view ${name} unavailable in ${path.basename(p)}: ${msg}`);
+  }
+  return { handle, views };
+}
+
+function swapInReadOnly() {
+  const { handle: next, views } = openReadOnly(LOCAL_DB_PATH);
+
+  let schema;
+  try {
+    schema = checkSchema(next);
+  } catch (e) {
+    next.close();
+    throw e;
+  }
+  schema.views = views;
+  for (const w of schema.warnings) console.warn(`[snapshot-db] ${w}`);
+  const prevSchema = dbMeta.schema;
+  dbMeta.schema = schema;
+
+  const prev = db;
+  db = next;
+  if (prev) recordLastChange(prev, next, prevSchema, schema);
+  retire(prev);
+}
+
+function recordLastChange(prev, next, prevSchema, schema) {
+  try {
+    const d = diffSnapshots(prev, next, { limit: 0 });
+    dbMeta.lastChange = {
+      at: new Date().toISOString(),
+      from: prevSchema?.snapshotId || null,
+      to: schema?.snapshotId || null,
+      totals: d.totals,
+      counts: Object.fromEntries(Object.entries(d.counts).filter(([, c]) => c.added || c.removed || c.changed)),
+      highlights: Object.fromEntries(Object.entries(d.highlights).map(([k, h]) => [k, h.count]))
+    };
+  } catch (e) {
+    console.warn(`[snapshot-db] change summary failed: ${e?.message || String(e)}`);
+  }
 }
 
 function getCounts() {
   const out = {};
-  const tables = ["farms", "fields", "rtkTowers"];
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name <> ?
+    ORDER BY name
+  `).all(META_TABLE).map((r) => r.name)
+    .filter((t) => !t.startsWith(`${SEARCH_TABLE}_`));
 
   for (const t of tables) {
     try {
-      const r = db.prepare(`SELECT COUNT(1) AS n FROM ${t}`).get();
+      const r = db.prepare(`SELECT COUNT(1) AS n FROM "${t}"`).get();
       out[t] = Number(r?.n || 0);
     } catch {
       out[t] = null;
@@ -82,34 +503,280 @@ function getCounts() {
   return out;
 }
 
+function startWatching() {
+  if (stopWatch || typeof source.watch !== "function") return;
+  stopWatch = source.watch(() => {
+    ensureDbReady({ force: true }).catch((e) => {
+      console.warn(`[snapshot-db] watched reload failed: ${e?.message || String(e)}`);
+    });
+  });
+}
+
+async function pollGeneration() {
+  // a load already in flight will pick up whatever is current
+  if (loading) return;
+
+  watcher.checks++;
+  watcher.lastCheckAt = new Date().toISOString();
+  try {
+    const remote = await source.stat();
+    watcher.lastError = null;
+
+    const current = dbMeta.source.generation;
+    if (!remote?.generation || remote.generation === current) return;
+
+    console.log(`[snapshot-db] new generation ${remote.generation} (was ${current || "none"}); reloading`);
+    await ensureDbReady({ force: true });
+    if (dbMeta.stale) throw new Error(dbMeta.staleReason || "Reload fell back to last-known-good copy");
+
+    watcher.reloads++;
+    watcher.lastChangeAt = new Date().toISOString();
+  } catch (e) {
+    watcher.errors++;
+    watcher.lastError = e?.message || String(e);
+    watcher.lastErrorAt = new Date().toISOString();
+    console.warn(`[snapshot-db] generation check failed: ${watcher.lastError}`);
+  }
+}
+
+function startPolling() {
+  if (pollTimer || !POLL_MS) return;
+  watcher.running = true;
+
+  const tick = () => {
+    pollGeneration().finally(() => {
+      pollTimer = setTimeout(tick, POLL_MS);
+      pollTimer.unref?.();
+    });
+  };
+  pollTimer = setTimeout(tick, POLL_MS);
+  pollTimer.unref?.();
+}
+
+/* ----------------------------- as-of snapshots ----------------------------- */
+function parseAsOf(asOf) {
+  const raw = (asOf ?? "").toString().trim();
+  if (!raw) return null;
+  // date-only -> end of that UTC day ("as of Dec 1" includes Dec 1 builds)
+  const ms = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? Date.parse(`${raw}T23:59:59.999Z`) : Date.parse(raw);
+  if (!Number.isFinite(ms)) throw new Error(`Bad asOf date: ${raw} (want YYYY-MM-DD or ISO timestamp)`);
+  return ms;
+}
+
+export async function listSnapshotHistory({ refresh = false } = {}) {
+  if (!refresh && historyList.entries && Date.now() - historyList.at < HISTORY_LIST_TTL_MS) {
+    return historyList.entries;
+  }
+  const entries = (await source.listHistory())
+    .filter((e) => Number.isFinite(Date.parse(e.builtAt || "")))
+    .sort((a, b) => Date.parse(a.builtAt) - Date.parse(b.builtAt));
+  historyList = { at: Date.now(), entries };
+  return entries;
+}
+
+function liveInfo(note = null) {
+  return {
+    kind: "live",
+    name: null,
+    snapshotId: dbMeta.schema?.snapshotId || dbMeta.snapshot.id,
+    builtAt: dbMeta.schema?.builtAt || dbMeta.source.updated || null,
+    note
+  };
+}
+
+// same name, new generation (rewritten file / re-uploaded object) -> a different cache entry + local copy
+function historyKey(entry) {
+  return entry.generation ? `${entry.name}@${entry.generation}` : entry.name;
+}
+
+async function openHistory(entry) {
+  const key = historyKey(entry);
+  const cached = historyOpen.get(key);
+  if (cached) {
+    historyOpen.delete(key);
+    historyOpen.set(key, cached);
+    return cached.handle;
+  }
+
+  if (!historyLoading.has(key)) {
+    const p = (async () => {
+      ensureDir(HISTORY_DIR);
+      const localPath = path.join(HISTORY_DIR, key.replace(/[^\w.-]+/g, "_"));
+      if (!fs.existsSync(localPath)) {
+        const tmpPath = `${localPath}.${process.pid}.${Date.now()}.part`;
+        try {
+          await source.fetchHistoryTo(entry, tmpPath);
+          verifySnapshot(tmpPath);
+          fs.renameSync(tmpPath, localPath);
+        } finally {
+          removeSqliteFiles(tmpPath);
+        }
+      }
+
+      let handle;
+      try {
+        ({ handle } = openReadOnly(localPath));
+      } catch (err) {
+        removeSqliteFiles(localPath);
+        throw err;
+      }
+      removeOnClose.set(handle, localPath);
+      historyOpen.set(key, { handle, entry });
+
+      while (historyOpen.size > HISTORY_OPEN_MAX) {
+        const [oldest, { handle: h }] = historyOpen.entries().next().value;
+        historyOpen.delete(oldest);
+        retire(h);
+      }
+      return handle;
+    })().finally(() => historyLoading.delete(key));
+    historyLoading.set(key, p);
+  }
+  return historyLoading.get(key);
+}
+
+/**
+ * resolveAsOf(asOf)
+ * -> { handle, info: { kind: "live"|"history", name, snapshotId, builtAt, requested, note } }
+ */
+async function resolveAsOf(asOf) {
+  const asOfMs = parseAsOf(asOf);
+  const requested = (asOf ?? "").toString().trim();
+
+  const liveBuiltMs = Date.parse(liveInfo().builtAt || "");
+  if (Number.isFinite(liveBuiltMs) && asOfMs >= liveBuiltMs) {
+    return { handle: getDb(), info: { ...liveInfo(), requested } };
+  }
+
+  const entries = await listSnapshotHistory();
+  if (!entries.length) {
+    return { handle: getDb(), info: { ...liveInfo("No snapshot history available; answered from the live snapshot"), requested } };
+  }
+
+  let pick = null;
+  for (const e of entries) if (Date.parse(e.builtAt) <= asOfMs) pick = e;
+  const note = pick ? null : `No snapshot as old as ${requested}; used the oldest one available`;
+  pick = pick || entries[0];
+
+  const handle = await openHistory(pick);
+  return {
+    handle,
+    info: { kind: "history", name: pick.name, snapshotId: pick.snapshotId, builtAt: pick.builtAt, requested, note }
+  };
+}
+
+/**
+ * acquireSnapshot(ref)
+ * ref: "" | "live" -> current snapshot; date / ISO -> nearest snapshot as of then (see resolveAsOf)
+ * -> { handle, info, release() }  (handle stays open until release(), even across hot-swaps/evictions)
+ */
+export async function acquireSnapshot(ref) {
+  const want = (ref ?? "").toString().trim();
+  const live = !want || want.toLowerCase() === "live";
+  let resolved = live ? { handle: getDb(), info: liveInfo() } : await resolveAsOf(want);
+  if (!live && !resolved.handle.open) resolved = await resolveAsOf(want);
+
+  const { handle } = resolved;
+  leases.set(handle, (leases.get(handle) || 0) + 1);
+
+  let released = false;
+  return {
+    handle,
+    info: { ...resolved.info, requested: want || "live" },
+    release() {
+      if (released) return;
+      released = true;
+      release(handle);
+    }
+  };
+}
+
 export function getDb() {
+  const p = pinned.getStore();
+  if (p) return p;
   if (!db) throw new Error("DB not loaded");
   return db;
 }
 
+/**
+ * withDb(fn, { asOf })
+ * Runs fn with the current handle pinned: getDb() inside fn (and anything it awaits)
+ * keeps returning that handle even if a reload swaps in a new snapshot meanwhile.
+ * With asOf, the snapshot nearest to that date is pinned instead (getters need no changes).
+ * fn receives the snapshot info ({ kind, snapshotId, builtAt, requested, note } or null).
+ */
+export async function withDb(fn, { asOf = null } = {}) {
+  let resolved = (asOf ?? "").toString().trim() ? await resolveAsOf(asOf) : null;
+  // evicted (and closed) by a concurrent as-of open before we could lease it
+  if (resolved && !resolved.handle.open) resolved = await resolveAsOf(asOf);
+  const handle = resolved?.handle || getDb();
+  leases.set(handle, (leases.get(handle) || 0) + 1);
+  try {
+    return await pinned.run(handle, () => fn(resolved?.info || null));
+  } finally {
+    release(handle);
+  }
+}
+
 export async function ensureDbReady({ force = false } = {}) {
   // If already loaded and not forced, we’re good
   if (db && !force) return true;
 
+  // One load at a time; concurrent callers share it. A forced load (e.g. /db/reload) must not
+  // join a non-forced one (that may reuse the local copy): it runs right after it instead.
+  if (loading && force && !loadingForced) {
+    startLoad(true, loading.catch(() => {}));
+  } else if (!loading) {
+    startLoad(force);
+  }
+  return loading;
+}
+
+function startLoad(force, after = Promise.resolve()) {
+  const p = after
+    .then(() => loadAndSwap(force))
+    .finally(() => {
+      if (loading === p) {
+        loading = null;
+        loadingForced = false;
+      }
+    });
+  loading = p;
+  loadingForced = force;
+}
+
+async function loadAndSwap(force) {
   // If local file missing, must download
   const localExists = fs.existsSync(LOCAL_DB_PATH);
   if (!localExists || force) {
-    await downloadRemoteToLocal();
+    try {
+      await downloadRemoteToLocal();
+    } catch (e) {
+      // no last-known-good copy -> nothing to serve
+      if (!fs.existsSync(LOCAL_DB_PATH)) throw e;
+      markStale(e);
+    }
   } else {
     // still refresh meta best-effort
+    const local = readLocalMeta();
+    if (local) applyRemoteMeta(local);
     try {
-      const remoteMeta = await statRemote();
-      dbMeta.gcs.generation = remoteMeta?.generation || dbMeta.gcs.generation;
-      dbMeta.gcs.updated = remoteMeta?.updated || dbMeta.gcs.updated;
-      const snapId = remoteMeta?.metadata?.snapshotId || null;
-      dbMeta.snapshot.id = snapId || dbMeta.snapshot.id;
-    } catch {}
+      const remote = await source.stat();
+      if (local?.generation && remote?.generation && local.generation !== remote.generation) {
+        dbMeta.stale = true;
+        dbMeta.staleReason = `Local copy (${local.generation}) differs from source (${remote.generation}); POST /db/reload to refresh`;
+      }
+    } catch (e) {
+      markStale(e);
+    }
   }
 
-  openDbReadOnly();
+  swapInReadOnly();
   dbMeta.loadedAt = new Date().toISOString();
   dbMeta.counts = getCounts();
 
+  startWatching();
+  startPolling();
   return true;
 }
 
@@ -124,8 +791,18 @@ export async function getDbStatus() {
     exists: fs.existsSync(LOCAL_DB_PATH),
     loaded: !!db,
     loadedAt: dbMeta.loadedAt,
+    source: dbMeta.source,
+    stale: dbMeta.stale,
+    staleReason: dbMeta.staleReason,
     gcs: dbMeta.gcs,
     snapshot: dbMeta.snapshot,
+    schema: dbMeta.schema,
+    lastChange: dbMeta.lastChange,
+    history: {
+      prefix: source.kind === "gcs" ? HISTORY_PREFIX : null,
+      open: [...historyOpen.values()].map((h) => h.entry)
+    },
+    watcher: { ...watcher },
     counts: dbMeta.counts
   };
 
@@ -0,0 +1,176 @@
+// /context/snapshot-diff.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotDiff1
+//
+// Compares two snapshot handles table by table using primary keys from ./snapshot-tables.js.
+// ✅ per table: added / removed / changed rows (changed = column -> { from, to })
+// ✅ highlights for ops questions ("what changed since yesterday"):
+//    - fields archived / un-archived / added / removed
+//    - field acres edited (tillable, HEL, CRP)
+//    - new grain bag putDowns / pickUps
+//    - bin onHand changes (binSiteBins.onHandBushels)
+// ✅ schema drift tolerant: only columns present in BOTH snapshots are compared;
+//    a table missing on either side is reported as skipped
+//
+// Ignored columns: data (raw doc JSON; every real change already shows in a typed column).
+// Only the key + compared columns are read, so the raw JSON never leaves SQLite; rows in added/removed/changed
+// carry those columns.
+
+'use strict';
+
+import { allTables, lower } from "./snapshot-tables.js";
+
+const IGNORE_COLS = new Set(["data"]);
+const ACRE_COLS = ["acresTillable", "hasHEL", "helAcres", "hasCRP", "crpAcres"];
+
+function hasTable(sqlite, table) {
+  return !!sqlite.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`).get(table);
+}
+
+function columnsOf(sqlite, table) {
+  return sqlite.pragma(`table_info(${table})`).map((c) => c.name);
+}
+
+function rowsByKey(sqlite, table, keyCols, cols) {
+  const out = new Map();
+  const select = [...keyCols, ...cols].map((c) => `"${c}"`).join(", ");
+  for (const r of sqlite.prepare(`SELECT ${select} FROM ${table}`).all()) {
+    out.set(JSON.stringify(keyCols.map((k) => r[k])), r);
+  }
+  return out;
+}
+
+function keyLabel(keyCols, row) {
+  return keyCols.map((k) => row[k]).join("/");
+}
+
+function same(a, b) {
+  if (a === b) return true;
+  // 1 vs 1.0 / "1" vs 1 across builder revs
+  if (a != null && b != null && Number.isFinite(Number(a)) && Number(a) === Number(b)) return true;
+  return false;
+}
+
+function diffTable(fromDb, toDb, spec) {
+  const keyCols = spec.primaryKey || ["id"];
+
+  const toCols = new Set(columnsOf(toDb, spec.table));
+  const cols = columnsOf(fromDb, spec.table).filter((c) => toCols.has(c) && !IGNORE_COLS.has(c) && !keyCols.includes(c));
+
+  const a = rowsByKey(fromDb, spec.table, keyCols, cols);
+  const b = rowsByKey(toDb, spec.table, keyCols, cols);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [k, row] of b) {
+    const prev = a.get(k);
+    if (!prev) {
+      added.push({ key: keyLabel(keyCols, row), row });
+      continue;
+    }
+    const changes = {};
+    for (const c of cols) {
+      if (!same(prev[c], row[c])) changes[c] = { from: prev[c], to: row[c] };
+    }
+    if (Object.keys(changes).length) changed.push({ key: keyLabel(keyCols, row), row, changes });
+  }
+
+  for (const [k, row] of a) {
+    if (!b.has(k)) removed.push({ key: keyLabel(keyCols, row), row });
+  }
+
+  return { keyCols, added, removed, changed };
+}
+
+function highlightsFrom(t) {
+  const fields = t.fields || { added: [], removed: [], changed: [] };
+  const events = t.grainBagEvents || { added: [] };
+  const bins = t.binSiteBins || { changed: [] };
+
+  const fieldRef = (x) => ({ fieldId: x.row.id, fieldName: x.row.name || "", farmName: x.row.farmName || "" });
+
+  return {
+    fieldsArchived: fields.changed
+      .filter((x) => x.changes.archived && Number(x.changes.archived.to) === 1)
+      .map(fieldRef),
+    fieldsUnarchived: fields.changed
+      .filter((x) => x.changes.archived && Number(x.changes.archived.to) === 0)
+      .map(fieldRef),
+    fieldsAdded: fields.added.map(fieldRef),
+    fieldsRemoved: fields.removed.map(fieldRef),
+    fieldAcresEdited: fields.changed
+      .filter((x) => ACRE_COLS.some((c) => x.changes[c]))
+      .map((x) => ({
+        ...fieldRef(x),
+        changes: Object.fromEntries(ACRE_COLS.filter((c) => x.changes[c]).map((c) => [c, x.changes[c]]))
+      })),
+    grainBagPutDowns: events.added
+      .filter((x) => lower(x.row.type) === "putdown")
+      .map((x) => ({
+        id: x.row.id, fieldName: x.row.fieldName || "", cropType: x.row.cropType || "",
+        countFull: x.row.countFull, countPartial: x.row.countPartial, datePlaced: x.row.datePlaced || ""
+      })),
+    grainBagPickups: events.added
+      .filter((x) => lower(x.row.type) === "pickup")
+      .map((x) => ({ id: x.row.id, fieldName: x.row.fieldName || "", cropType: x.row.cropType || "" })),
+    binOnHandChanged: bins.changed
+      .filter((x) => x.changes.onHandBushels)
+      .map((x) => {
+        const { from, to } = x.changes.onHandBushels;
+        return {
+          siteId: x.row.siteId, siteName: x.row.siteName || "", binNum: x.row.binNum,
+          from, to, delta: (Number(to) || 0) - (Number(from) || 0)
+        };
+      })
+  };
+}
+
+/**
+ * diffSnapshots(fromDb, toDb, opts)
+ *
+ * opts:
+ *  - limit (number) default 200: max detail rows per list (counts are always complete; 0 = counts only)
+ *  - tables (string[]) optional: only these tables
+ *
+ * -> { totals, counts: { <table>: { added, removed, changed } }, highlights, tables: { <table>: { added[], removed[], changed[] } }, skipped }
+ */
+export function diffSnapshots(fromDb, toDb, { limit = 200, tables = null } = {}) {
+  const full = {};
+  const skipped = {};
+
+  for (const spec of allTables()) {
+    if (tables && !tables.includes(spec.table)) continue;
+    if (!hasTable(fromDb, spec.table) || !hasTable(toDb, spec.table)) {
+      skipped[spec.table] = "missing in one snapshot";
+      continue;
+    }
+    full[spec.table] = diffTable(fromDb, toDb, spec);
+  }
+
+  const counts = {};
+  const totals = { added: 0, removed: 0, changed: 0 };
+  const detail = {};
+  for (const [table, d] of Object.entries(full)) {
+    counts[table] = { added: d.added.length, removed: d.removed.length, changed: d.changed.length };
+    totals.added += d.added.length;
+    totals.removed += d.removed.length;
+    totals.changed += d.changed.length;
+
+    if (limit > 0 && (d.added.length || d.removed.length || d.changed.length)) {
+      detail[table] = {
+        key: d.keyCols,
+        added: d.added.slice(0, limit),
+        removed: d.removed.slice(0, limit),
+        changed: d.changed.slice(0, limit)
+      };
+    }
+  }
+
+  const highlights = {};
+  for (const [name, list] of Object.entries(highlightsFrom(full))) {
+    highlights[name] = { count: list.length, items: limit > 0 ? list.slice(0, limit) : [] };
+  }
+
+  return { totals, counts, highlights, tables: detail, skipped };
+}
@@ -0,0 +1,156 @@
+// /context/snapshot-search.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotSearch1
+//
+// FTS5 full-text index built by snapshot-build.js after the tables + views are filled.
+// One virtual table (_search) holds a document per searchable record:
+//   type (field | farm | rtkTower | equipment | maintenance | boundary), refId, archived,
+//   title (names, weighted highest), subtitle (farm / county / make / status), body (notes)
+//
+// Each source is: type, table (for docs), and a SELECT returning refId / title / subtitle / body / archived.
+// Adding a domain = adding ONE entry to SEARCH_SOURCES.
+//
+// archived follows each getter's ACTIVE rule (fields/farms archived flag, equipment status active/open,
+// maintenance not completed/archived/done/closed, boundary requests not open).
+
+'use strict';
+
+export const SEARCH_TABLE = "_search";
+
+// column order matters for bm25() weights and snippet() column numbers
+export const SEARCH_COLUMNS = ["type", "refId", "archived", "title", "subtitle", "body"];
+
+export const SEARCH_SOURCES = [
+  {
+    type: "field",
+    table: "fields",
+    sql: `
+      SELECT
+        f.fieldId AS refId,
+        f.fieldName AS title,
+        concat_ws(' • ',
+          NULLIF(f.farmName, ''),
+          NULLIF(TRIM(COALESCE(f.county, '') || ' ' || COALESCE(f.state, '')), ''),
+          NULLIF(f.rtkTowerName, '')
+        ) AS subtitle,
+        NULL AS body,
+        f.archived AS archived
+      FROM v_field_full f
+    `
+  },
+  {
+    type: "farm",
+    table: "farms",
+    sql: `
+      SELECT
+        r.farmId AS refId,
+        r.farmName AS title,
+        concat_ws(' • ', r.fieldCount || ' active fields', NULLIF(r.counties, '')) AS subtitle,
+        NULL AS body,
+        r.archived AS archived
+      FROM v_farm_rollup r
+    `
+  },
+  {
+    type: "rtkTower",
+    table: "rtkTowers",
+    sql: `
+      SELECT
+        t.id AS refId,
+        t.name AS title,
+        concat_ws(' • ', 'network ' || NULLIF(t.networkId, ''), NULLIF(t.frequency, '')) AS subtitle,
+        NULL AS body,
+        0 AS archived
+      FROM rtkTowers t
+    `
+  },
+  {
+    type: "equipment",
+    table: "equipment",
+    sql: `
+      SELECT
+        e.id AS refId,
+        COALESCE(NULLIF(e.name, ''), concat_ws(' ', e.year, NULLIF(e.makeName, ''), NULLIF(e.modelName, ''))) AS title,
+        concat_ws(' • ',
+          NULLIF(e.type, ''), NULLIF(e.makeName, ''), NULLIF(e.modelName, ''),
+          'unit ' || NULLIF(e.unitId, ''), NULLIF(e.serial, ''), NULLIF(e.licensePlate, ''),
+          NULLIF(e.starfireCurrentLocationName, '')
+        ) AS subtitle,
+        NULLIF(e.notes, '') AS body,
+        CASE WHEN lower(TRIM(COALESCE(e.status, ''))) IN ('active', 'open') THEN 0 ELSE 1 END AS archived
+      FROM equipment e
+    `
+  },
+  {
+    type: "maintenance",
+    table: "fieldMaintenance",
+    sql: `
+      SELECT
+        m.id AS refId,
+        concat_ws(' • ', NULLIF(m.topicLabel, ''), NULLIF(m.fieldName, '')) AS title,
+        concat_ws(' • ', NULLIF(m.farmName, ''), NULLIF(m.status, ''), NULLIF(m.submittedByName, ''), substr(m.dateSubmittedISO, 1, 10)) AS subtitle,
+        NULLIF(m.notes, '') AS body,
+        CASE WHEN lower(TRIM(COALESCE(m.status, ''))) IN ('completed', 'complete', 'archived', 'done', 'closed') THEN 1 ELSE 0 END AS archived
+      FROM fieldMaintenance m
+    `
+  },
+  {
+    type: "boundary",
+    table: "boundary_requests",
+    sql: `
+      SELECT
+        b.id AS refId,
+        concat_ws(' • ', 'Boundary ' || COALESCE(NULLIF(b.boundaryType, ''), 'request'), NULLIF(b.field, '')) AS title,
+        concat_ws(' • ', NULLIF(b.farm, ''), NULLIF(b.status, ''), NULLIF(b.scope, ''), NULLIF(b.submittedBy, '')) AS subtitle,
+        NULLIF(b.notes, '') AS body,
+        CASE WHEN lower(TRIM(COALESCE(b.status, ''))) = 'open' THEN 0 ELSE 1 END AS archived
+      FROM boundary_requests b
+    `
+  }
+];
+
+export const SEARCH_TYPES = SEARCH_SOURCES.map((s) => s.type);
+
+/**
+ * buildSearchIndex(sqlite)
+ * (Re)creates _search and fills it from SEARCH_SOURCES.
+ * -> { total, byType: { <type>: n } }
+ */
+export function buildSearchIndex(sqlite) {
+  sqlite.exec(`
+    DROP TABLE IF EXISTS ${SEARCH_TABLE};
+    CREATE VIRTUAL TABLE ${SEARCH_TABLE} USING fts5(
+      type UNINDEXED,
+      refId UNINDEXED,
+      archived UNINDEXED,
+      title,
+      subtitle,
+      body,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+  `);
+
+  const insert = sqlite.prepare(`
+    INSERT INTO ${SEARCH_TABLE} (type, refId, archived, title, subtitle, body)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const byType = {};
+  let total = 0;
+
+  const tx = sqlite.transaction(() => {
+    for (const src of SEARCH_SOURCES) {
+      let n = 0;
+      for (const r of sqlite.prepare(src.sql).all()) {
+        if (r.refId == null || !String(r.title ?? "").trim()) continue;
+        insert.run(src.type, String(r.refId), Number(r.archived) ? 1 : 0, String(r.title), r.subtitle ?? null, r.body ?? null);
+        n++;
+      }
+      byType[src.type] = n;
+      total += n;
+    }
+  });
+  tx();
+
+  return { total, byType };
+}
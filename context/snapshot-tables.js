@@ -0,0 +1,679 @@
+// /context/snapshot-tables.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotTables-registry3-incremental
+//
+// Declarative Firestore collection -> SQLite table registry for snapshot-build.js.
+// One entry per collection declares:
+// ✅ table name + columns (SQL type, Firestore source paths in fallback order, converter)
+// ✅ indexes
+// ✅ exploded child tables (binSiteBins from binSites.bins[], grainBagAppliedTo from pickUp.appliedTo[])
+//
+// ✅ incremental: Firestore timestamp field used for delta builds (omit -> table is refetched in full)
+// ✅ children[].parentKey: child column holding the parent doc id (delta builds re-explode by it)
+// ✅ BEHAVIOR CHANGE (registry1): grainBagAppliedTo now explodes pickUps whose type is "pickUp" (any case).
+//    The pre-registry builder compared the trimmed type to "pickup" case-sensitively, which never matched
+//    Firestore's "pickUp", so no pickups were subtracted. Snapshots built since then report LOWER grain bag
+//    remaining full/partial counts and bushel totals (putDown minus the pickups that now apply).
+//
+// The builder generates DDL, row mapping and counts from this list, so adding a
+// domain means adding ONE entry here.
+//
+// Source paths:
+// - "a.b.c" dot paths into the Firestore doc
+// - "$id"        -> document id
+// - child rows resolve paths against the array item; "$doc.x" reaches the parent doc
+//
+// Converters (first usable source wins):
+// - str / lower : first non-empty scalar (|| semantics), trimmed
+// - num / bool  : first non-null value (?? semantics)
+// - int0        : integer, missing -> 0
+// - iso / ms    : first truthy timestamp via toISO/toMs (Firefoo __time__ aware)
+// - jsonArray   : JSON text of the first array found, else "[]"
+// - doc         : JSON text of the whole Firestore doc
+// - value(src)  : custom function for anything else
+//
+// Schema version:
+// - SCHEMA_VERSION is written into every snapshot's _snapshot_meta table
+// - bump it when a table/column is renamed or removed (additive changes don't need it)
+// - MIN_SCHEMA_VERSION is the oldest snapshot the current getters can still read
+
+'use strict';
+
+/* ----------------------------- value helpers ----------------------------- */
+export function norm(s) { return (s || "").toString().trim(); }
+export function lower(s) { return norm(s).toLowerCase(); }
+
+export function numOrNull(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function bool01(v) {
+  if (v === true) return 1;
+  if (v === false) return 0;
+  return null;
+}
+
+export function farmArchivedFromStatus(statusRaw) {
+  const s = lower(statusRaw);
+  if (!s) return null;
+  if (s === "active") return 0;
+  return 1;
+}
+
+export function toISO(ts) {
+  try {
+    if (!ts) return "";
+    if (typeof ts === "string") return ts;
+    if (typeof ts === "object") {
+      if (typeof ts.__time__ === "string") return ts.__time__;
+      if (typeof ts.toDate === "function") return ts.toDate().toISOString();
+      if (typeof ts.seconds === "number") return new Date(ts.seconds * 1000).toISOString();
+    }
+  } catch {}
+  return "";
+}
+
+export function toMs(ts) {
+  try {
+    const iso = toISO(ts);
+    if (iso) {
+      const ms = Date.parse(iso);
+      return Number.isFinite(ms) ? ms : null;
+    }
+    if (ts && typeof ts.toMillis === "function") {
+      const ms = ts.toMillis();
+      return Number.isFinite(ms) ? ms : null;
+    }
+  } catch {}
+  return null;
+}
+
+export function parseProductIdFromRef(refLike) {
+  // Firefoo export style: { "__ref__": "productsGrainBags/<id>" }
+  try {
+    if (!refLike) return "";
+    if (typeof refLike === "string") {
+      const s = refLike.trim();
+      const m = s.match(/productsGrainBags\/([^\/\s]+)\s*$/i);
+      return m ? norm(m[1]) : "";
+    }
+    if (typeof refLike === "object") {
+      const r = norm(refLike.__ref__ || refLike.path || "");
+      if (!r) return "";
+      const m = r.match(/productsGrainBags\/([^\/\s]+)\s*$/i);
+      return m ? norm(m[1]) : "";
+    }
+  } catch {}
+  return "";
+}
+
+function refPath(refLike) {
+  if (refLike && typeof refLike === "object") return norm(refLike.__ref__ || refLike.path || "");
+  return norm(refLike || "");
+}
+
+/* ----------------------------- source resolution ----------------------------- */
+function getPath(src, path) {
+  let cur = src;
+  for (const part of path.split(".")) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function firstNonNull(src, from) {
+  for (const p of from) {
+    const v = getPath(src, p);
+    if (v != null) return v;
+  }
+  return null;
+}
+
+function firstScalar(src, from) {
+  for (const p of from) {
+    const v = getPath(src, p);
+    if ((typeof v === "string" || typeof v === "number") && norm(v)) return v;
+  }
+  return "";
+}
+
+function firstTruthy(src, from) {
+  for (const p of from) {
+    const v = getPath(src, p);
+    if (v) return v;
+  }
+  return null;
+}
+
+function firstArray(src, from) {
+  for (const p of from) {
+    const v = getPath(src, p);
+    if (Array.isArray(v)) return v;
+  }
+  return [];
+}
+
+const CONVERTERS = {
+  str: (src, from) => norm(firstScalar(src, from)),
+  lower: (src, from) => lower(firstScalar(src, from)),
+  num: (src, from) => numOrNull(firstNonNull(src, from)),
+  int0: (src, from) => (numOrNull(firstNonNull(src, from) ?? 0) ?? 0) | 0,
+  bool: (src, from) => bool01(firstNonNull(src, from)),
+  iso: (src, from) => toISO(firstTruthy(src, from)),
+  ms: (src, from) => toMs(firstTruthy(src, from)),
+  jsonArray: (src, from) => JSON.stringify(firstArray(src, from)),
+  doc: (src) => JSON.stringify(src.$raw)
+};
+
+/**
+ * columnValue(col, src)
+ * src is the Firestore doc (or child item) plus $id / $doc / $raw.
+ */
+export function columnValue(col, src) {
+  if (typeof col.value === "function") return col.value(src);
+  const conv = CONVERTERS[col.as];
+  if (!conv) throw new Error(`Unknown converter '${col.as}' for column ${col.name}`);
+  return conv(src, col.from || [col.name]);
+}
+
+/* ----------------------------- column constructors ----------------------------- */
+const col = (name, type, as, from) => ({ name, type, as, from: from.length ? from : [name] });
+
+const id = () => ({ name: "id", type: "TEXT PRIMARY KEY", as: "str", from: ["$id"] });
+const str = (name, ...from) => col(name, "TEXT", "str", from);
+const low = (name, ...from) => col(name, "TEXT", "lower", from);
+const real = (name, ...from) => col(name, "REAL", "num", from);
+const int = (name, ...from) => col(name, "INTEGER", "num", from);
+const int0 = (name, ...from) => col(name, "INTEGER", "int0", from);
+const flag = (name, ...from) => col(name, "INTEGER", "bool", from);
+const iso = (name, ...from) => col(name, "TEXT", "iso", from);
+const ms = (name, ...from) => col(name, "INTEGER", "ms", from);
+const jsonArray = (name, ...from) => col(name, "TEXT", "jsonArray", from);
+const custom = (name, type, value) => ({ name, type, value });
+const data = () => ({ name: "data", type: "TEXT", as: "doc" });
+
+// createdAt/updatedAt -> createdAtISO/createdAtMs/updatedAtISO/updatedAtMs
+const stamps = (...keys) => keys.flatMap((k) => [iso(`${k}ISO`, k), ms(`${k}Ms`, k)]);
+
+/* ----------------------------- grain bag helpers ----------------------------- */
+// ✅ Correct sources for partial feet/usage (with legacy fallbacks)
+function partialFeet(d) {
+  if (Array.isArray(d?.counts?.partialFeet)) return d.counts.partialFeet;
+  return Array.isArray(d?.partialFeet) ? d.partialFeet : [];
+}
+
+function partialUsage(d) {
+  if (Array.isArray(d?.counts?.partialUsage)) return d.counts.partialUsage;
+  return Array.isArray(d?.partialUsage) ? d.partialUsage : [];
+}
+
+function partialFeetSum(d) {
+  let sum = 0;
+  for (const v of partialFeet(d)) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n > 0) sum += n;
+  }
+  return sum;
+}
+
+/* ----------------------------- schema version ----------------------------- */
+export const SCHEMA_VERSION = 1;
+export const MIN_SCHEMA_VERSION = 1;
+export const META_TABLE = "_snapshot_meta";
+
+/* ----------------------------- registry ----------------------------- */
+export const SNAPSHOT_TABLES = [
+  {
+    collection: "farms",
+    table: "farms",
+    columns: [
+      id(),
+      str("name", "name", "farmName"),
+      str("status"),
+      custom("archived", "INTEGER", (d) => farmArchivedFromStatus(d.status)),
+      data()
+    ]
+  },
+
+  {
+    collection: "rtkTowers",
+    table: "rtkTowers",
+    columns: [
+      id(),
+      str("name", "name", "towerName"),
+      str("networkId", "networkId", "netId"),
+      str("frequency", "frequency", "freq", "frequencyMHz"),
+      data()
+    ]
+  },
+
+  {
+    collection: "fields",
+    table: "fields",
+    columns: [
+      id(),
+      str("name", "name", "fieldName"),
+      str("farmId"),
+      str("farmName"),
+      str("rtkTowerId", "rtkTowerId", "rtkId"),
+      str("rtkTowerName", "rtkTowerName", "rtkName"),
+      str("county"),
+      str("state"),
+      real("acresTillable", "tillable", "acresTillable", "tillableAcres", "acres"),
+      flag("hasHEL"),
+      real("helAcres"),
+      flag("hasCRP"),
+      real("crpAcres"),
+      flag("archived", "archived", "isArchived", "inactive"),
+      data()
+    ],
+    indexes: {
+      idx_fields_archived: ["archived"]
+    }
+  },
+
+  {
+    collection: "binSites",
+    table: "binSites",
+    columns: [
+      id(),
+      str("name"),
+      str("status"),
+      flag("used"),
+      real("totalBushels"),
+      data()
+    ],
+    indexes: {
+      idx_binSites_name: ["name"]
+    },
+    children: [
+      {
+        table: "binSiteBins",
+        from: "bins",
+        parentKey: "siteId",
+        primaryKey: ["siteId", "binNum"],
+        require: ["binNum"],
+        columns: [
+          str("siteId", "$id"),
+          str("siteName", "$doc.name"),
+          int("binNum", "num"),
+          real("capacityBushels", "bushels"),
+          real("onHandBushels", "onHand"),
+          str("lastCropType"),
+          real("lastCropMoisture"),
+          int("lastUpdatedMs"),
+          str("lastUpdatedBy"),
+          str("lastUpdatedUid")
+        ],
+        indexes: {
+          idx_binSiteBins_crop: ["lastCropType"]
+        }
+      }
+    ]
+  },
+
+  // Bin movements (direction = in/out; bushels always positive)
+  {
+    collection: "binMovements",
+    table: "binMovements",
+    columns: [
+      id(),
+      str("siteId"),
+      str("siteName"),
+      int("binNum"),
+      int("binIndex"),
+      low("direction"),
+      real("bushels"),
+      str("cropType"),
+      real("cropMoisture"),
+      iso("dateISO", "dateISO", "date"),
+      str("note", "note", "notes"),
+      str("submittedBy", "submittedBy", "submittedBy.name"),
+      str("submittedByUid", "submittedByUid", "submittedBy.uid"),
+      ...stamps("createdAt"),
+      data()
+    ],
+    indexes: {
+      idx_binMov_site: ["siteId"],
+      idx_binMov_bin: ["siteId", "binNum"],
+      idx_binMov_date: ["dateISO"]
+    }
+  },
+
+  // Inventory: Bag SKUs stored on-farm (shed inventory)
+  // IMPORTANT: grainBagEvents.bagSkuId refers to inventoryGrainBagMovements.id
+  // productId is parsed from productRef ("productsGrainBags/<id>")
+  {
+    collection: "inventoryGrainBagMovements",
+    table: "inventoryGrainBagMovements",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("brand"),
+      real("diameterFt"),
+      real("lengthFt"),
+      real("thicknessMil"),
+      str("location"),
+
+      real("qty"),
+      real("onHand"),
+      str("type"),
+      str("status"),
+
+      custom("productId", "TEXT", (d) => parseProductIdFromRef(d.productRef)),
+      custom("productRefPath", "TEXT", (d) => refPath(d.productRef)),
+
+      iso("lastManualAdjustmentISO", "lastManualAdjustment"),
+      ms("lastManualAdjustmentMs", "lastManualAdjustment"),
+      str("lastManualAdjustmentReason"),
+      real("lastManualAdjustmentRemoveQty"),
+      str("lastManualAdjustmentUser"),
+
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_inv_product: ["productId"],
+      idx_inv_brand: ["brand"],
+      idx_inv_size: ["diameterFt", "lengthFt"]
+    }
+  },
+
+  // Grain bag events (putDown + pickUp stored raw, plus extracted fields)
+  // Keep status column stored (but NOT used for logic)
+  {
+    collection: "grain_bag_events",
+    table: "grainBagEvents",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("type"),
+      str("status"),
+      str("datePlaced", "datePlaced", "dateISO"),
+      str("cropType", "cropType", "crop"),
+      int("cropYear"),
+      real("cropMoisture"),
+
+      str("fieldId", "field.id"),
+      str("fieldName", "field.name"),
+
+      // IMPORTANT: bagSku.id is the INVENTORY SKU id (inventoryGrainBagMovements.id)
+      str("bagSkuId", "bagSku.id"),
+      str("bagBrand", "bagSku.brand"),
+      real("bagDiameterFt", "bagSku.diameterFt"),
+      real("bagSizeFeet", "bagSku.sizeFeet"),
+
+      int("countFull", "counts.full"),
+      int("countPartial", "counts.partial"),
+
+      custom("partialFeetJson", "TEXT", (d) => JSON.stringify(partialFeet(d))),
+      custom("partialFeetSum", "REAL", (d) => numOrNull(partialFeetSum(d))),
+      custom("partialUsageJson", "TEXT", (d) => JSON.stringify(partialUsage(d))),
+
+      int("priority", "priority", "field.priority"),
+      str("priorityReason", "priorityReason", "field.priorityReason"),
+
+      str("submittedByEmail", "submittedBy.email", "submittedByUid"),
+      str("submittedByName", "submittedBy.name", "submittedBy"),
+
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_gbe_type: ["type"],
+      idx_gbe_status: ["status"],
+      idx_gbe_crop: ["cropType"],
+      idx_gbe_year: ["cropYear"],
+      idx_gbe_field: ["fieldId"],
+      idx_gbe_sku: ["bagSkuId"]
+    },
+    children: [
+      // pickUp.appliedTo exploded rows (subtract from putDown reliably)
+      {
+        table: "grainBagAppliedTo",
+        from: "appliedTo",
+        parentKey: "pickUpId",
+        // case-insensitive on purpose: Firestore writes "pickUp" (see BEHAVIOR CHANGE above)
+        when: (d) => lower(d.type) === "pickup",
+        primaryKey: ["pickUpId", "refPutDownId"],
+        require: ["refPutDownId"],
+        columns: [
+          str("pickUpId", "$id"),
+          str("refPutDownId"),
+          int0("takeFull"),
+          int0("takePartial"),
+          str("cropType", "$doc.cropType", "$doc.crop"),
+          int("cropYear", "$doc.cropYear"),
+          str("fieldId", "$doc.field.id"),
+          str("fieldName", "$doc.field.name"),
+          str("pickedUpDate", "$doc.pickedUpDate", "$doc.datePickedUp"),
+          iso("createdAtISO", "$doc.createdAt"),
+          ms("createdAtMs", "$doc.createdAt")
+        ],
+        indexes: {
+          idx_gba_putdown: ["refPutDownId"],
+          idx_gba_crop: ["cropType"],
+          idx_gba_year: ["cropYear"]
+        }
+      }
+    ]
+  },
+
+  // Products: Grain bags (bushel estimates)
+  {
+    collection: "productsGrainBags",
+    table: "productsGrainBags",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("brand"),
+      real("diameterFt"),
+      real("lengthFt"),
+      real("thicknessMil"),
+      str("status"),
+      str("notes"),
+
+      // baseline: Firestore "bushels" stored as corn-rated capacity
+      real("bushelsCorn", "bushels"),
+
+      real("soyPct", "soyPct", "soybeanPct"),
+      real("wheatPct"),
+
+      real("bushelsSoy", "bushelsSoy", "soyBushels"),
+      real("bushelsWheat", "bushelsWheat", "wheatBushels"),
+
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_pgb_size: ["diameterFt", "lengthFt"],
+      idx_pgb_brand: ["brand"],
+      idx_pgb_status: ["status"]
+    }
+  },
+
+  // Equipment (flattened for getEquipment; starfireCurrentLocation may be nested)
+  {
+    collection: "equipment",
+    table: "equipment",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("type"),
+      str("status"),
+      str("name"),
+      int("year"),
+
+      str("makeId"),
+      str("makeName", "makeName", "make"),
+      str("modelId"),
+      str("modelName", "modelName", "model"),
+
+      str("unitId"),
+      str("serial", "serial", "serialNumber"),
+      str("notes"),
+
+      real("engineHours"),
+      real("totalHours"),
+      real("totalAcres"),
+      real("workingWidthFt"),
+      real("boomWidthFt"),
+      str("licensePlate"),
+      real("odometerMiles"),
+
+      str("activationLevel"),
+      str("firmwareVersion"),
+      str("starfireCurrentLocationId", "starfireCurrentLocationId", "starfireCurrentLocation.id"),
+      str("starfireCurrentLocationName", "starfireCurrentLocationName", "starfireCurrentLocation.name"),
+      iso("starfireCurrentLocationSince", "starfireCurrentLocationSince", "starfireCurrentLocation.since"),
+      str("starfireCurrentLocationType", "starfireCurrentLocationType", "starfireCurrentLocation.type"),
+
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_eq_type: ["type"],
+      idx_eq_status: ["status"],
+      idx_eq_make: ["makeId"],
+      idx_eq_model: ["modelId"],
+      idx_eq_unit: ["unitId"]
+    }
+  },
+
+  // Equipment makes / models (categories[] stored as JSON text)
+  {
+    collection: "equipment-makes",
+    table: "equipmentMakes",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("name"),
+      low("nameLower", "nameLower", "name"),
+      jsonArray("categories"),
+      flag("archived"),
+      str("status"),
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_eqmake_name: ["nameLower"]
+    }
+  },
+
+  {
+    collection: "equipment-models",
+    table: "equipmentModels",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("makeId"),
+      str("name"),
+      low("nameLower", "nameLower", "name"),
+      jsonArray("categories"),
+      flag("archived"),
+      str("status"),
+      ...stamps("createdAt", "updatedAt"),
+      data()
+    ],
+    indexes: {
+      idx_eqmodel_make: ["makeId"],
+      idx_eqmodel_name: ["nameLower"]
+    }
+  },
+
+  // Boundary fix requests (table name matches getBoundaryRequests)
+  {
+    collection: "boundary_requests",
+    table: "boundary_requests",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("status"),
+
+      str("farm", "farm", "farmName"),
+      str("farmId"),
+      str("field", "field", "fieldName"),
+      str("fieldId"),
+      str("rtkTowerId", "rtkTowerId", "rtkId"),
+
+      str("scope"),
+      str("boundaryType"),
+      str("notes"),
+
+      str("submittedBy", "submittedBy", "submittedBy.name"),
+      str("submittedByEmail", "submittedByEmail", "submittedBy.email"),
+
+      str("when"),
+      iso("timestampISO", "timestamp", "createdAt"),
+      custom("t", "INTEGER", (d) => (d.t != null ? numOrNull(d.t) : toMs(d.timestamp || d.createdAt))),
+
+      ...stamps("createdAt", "updatedAt"),
+      iso("drivenAtISO", "drivenAt"),
+      iso("completedAtISO", "completedAt"),
+
+      data()
+    ],
+    indexes: {
+      idx_br_status: ["status"],
+      idx_br_farm: ["farmId"],
+      idx_br_field: ["fieldId"]
+    }
+  },
+
+  // Field maintenance requests (submittedBy {name,email,uid}, location {lat,lng}, photoUrls[])
+  {
+    collection: "field_maintenance",
+    table: "fieldMaintenance",
+    incremental: "updatedAt",
+    columns: [
+      id(),
+      str("status"),
+      int("priority"),
+      str("priorityReason"),
+
+      str("topicId"),
+      str("topicLabel"),
+
+      str("farmId"),
+      str("farmName"),
+      str("fieldId"),
+      str("fieldName"),
+
+      str("notes"),
+      custom("photoCount", "INTEGER", (d) => numOrNull(d.photoCount ?? (Array.isArray(d.photoUrls) ? d.photoUrls.length : 0))),
+      jsonArray("photoUrls"),
+
+      real("locationLat", "location.lat", "location.latitude"),
+      real("locationLng", "location.lng", "location.longitude"),
+
+      str("submittedByName", "submittedBy", "submittedBy.name"),
+      str("submittedByEmail", "submittedBy.email", "submittedByEmail"),
+      str("submittedByUid", "submittedBy.uid", "submittedByUid"),
+
+      iso("dateSubmittedISO", "dateSubmitted"),
+      ...stamps("createdAt", "updatedAt"),
+
+      data()
+    ],
+    indexes: {
+      idx_fm_status: ["status"],
+      idx_fm_farm: ["farmId"],
+      idx_fm_field: ["fieldId"],
+      idx_fm_topic: ["topicId"]
+    }
+  }
+];
+
+/**
+ * allTables()
+ * Flattened list of every table the registry produces (parents first, then their children).
+ */
+export function allTables() {
+  const out = [];
+  for (const spec of SNAPSHOT_TABLES) {
+    out.push(spec);
+    for (const child of (spec.children || [])) out.push(child);
+  }
+  return out;
+}
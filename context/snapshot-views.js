@@ -0,0 +1,243 @@
+// /context/snapshot-views.js  (FULL FILE)
+// Rev: 2026-10-19-snapshotViews1
+//
+// Canonical SQL views inside every snapshot. Join logic lives HERE, getters only query views.
+// ✅ v_grainBag_open_remaining : putDowns minus pickUps (grainBagAppliedTo); open bags only
+// ✅ v_grain_bags_down         : open putDowns + bag product + crop-factored capacity + bushels
+// ✅ v_field_full              : field + farm + RTK tower (names resolved once)
+// ✅ v_farm_rollup             : per farm: ACTIVE field count, tillable / HEL / CRP acres, counties
+// ✅ v_bin_site_totals         : per bin site: bin count, bin capacity, onHand (binSiteBins)
+//
+// snapshot-build.js creates them in the snapshot file.
+// snapshot-db.js creates missing ones as TEMP views when it opens an older snapshot
+// (read-only handles can still write the temp schema).
+//
+// Order matters: a view may only use views listed before it.
+
+'use strict';
+
+// productsGrainBags.bushelsCorn is CORN-RATED capacity (FVGrainCapacity factors):
+// corn 1.00, soybeans 0.93, wheat 1.07, milo 1.02, oats 0.78.
+// Legacy bushelsSoy / bushelsWheat are used as-is only when the corn rating is missing.
+const CROP_SQL = (col) => `
+        CASE
+          WHEN lower(${col}) LIKE '%corn%' THEN 'Corn'
+          WHEN lower(${col}) LIKE '%soy%' OR lower(${col}) LIKE '%bean%' THEN 'Soybeans'
+          WHEN lower(${col}) LIKE '%wheat%' THEN 'Wheat'
+          WHEN lower(${col}) LIKE '%milo%' OR lower(${col}) LIKE '%sorghum%' THEN 'Milo'
+          WHEN lower(${col}) LIKE '%oat%' THEN 'Oats'
+          ELSE 'Other'
+        END`;
+
+export const SNAPSHOT_VIEWS = [
+  {
+    // NOTE: per Dane, this view MUST NOT depend on "status".
+    name: "v_grainBag_open_remaining",
+    sql: `
+      SELECT
+        p.id AS putDownId,
+        p.fieldId,
+        p.fieldName,
+        p.cropType,
+        p.cropYear,
+        p.bagDiameterFt,
+        p.bagSizeFeet,
+        p.bagSkuId,
+        p.bagBrand,
+
+        COALESCE(p.countFull,0) AS putFull,
+        COALESCE(p.countPartial,0) AS putPartial,
+        COALESCE(p.partialFeetSum,0) AS putPartialFeetSum,
+
+        COALESCE(SUM(a.takeFull),0) AS pickedFull,
+        COALESCE(SUM(a.takePartial),0) AS pickedPartial,
+
+        MAX(CASE WHEN COALESCE(a.takePartial,0) > 0 THEN 1 ELSE 0 END) AS anyPartialPicked,
+
+        MAX(0, COALESCE(p.countFull,0) - COALESCE(SUM(a.takeFull),0)) AS remainingFull,
+        MAX(0, COALESCE(p.countPartial,0) - COALESCE(SUM(a.takePartial),0)) AS remainingPartial,
+
+        CASE
+          WHEN MAX(CASE WHEN COALESCE(a.takePartial,0) > 0 THEN 1 ELSE 0 END) = 1 THEN 0
+          ELSE COALESCE(p.partialFeetSum,0)
+        END AS remainingPartialFeetSum
+
+      FROM grainBagEvents p
+      LEFT JOIN grainBagAppliedTo a ON a.refPutDownId = p.id
+      WHERE lower(p.type)='putdown'
+      GROUP BY p.id
+      HAVING (MAX(0, COALESCE(p.countFull,0) - COALESCE(SUM(a.takeFull),0)) > 0)
+          OR (MAX(0, COALESCE(p.countPartial,0) - COALESCE(SUM(a.takePartial),0)) > 0)`
+  },
+  {
+    // Bag product: bagSkuId -> inventoryGrainBagMovements.productId, else first product
+    // with the same diameter + length (+ brand when both sides have one).
+    name: "v_grain_bags_down",
+    sql: `
+      WITH open AS (
+        SELECT
+          o.*,
+          ${CROP_SQL("o.cropType")} AS crop,
+          COALESCE(
+            (SELECT p.id
+               FROM inventoryGrainBagMovements inv
+               JOIN productsGrainBags p ON p.id = inv.productId
+              WHERE inv.id = o.bagSkuId),
+            (SELECT p.id
+               FROM productsGrainBags p
+              WHERE p.diameterFt = o.bagDiameterFt
+                AND p.lengthFt = o.bagSizeFeet
+                AND (COALESCE(o.bagBrand,'') = '' OR COALESCE(p.brand,'') = '' OR lower(p.brand) = lower(o.bagBrand))
+              ORDER BY p.rowid
+              LIMIT 1)
+          ) AS productId
+        FROM v_grainBag_open_remaining o
+      ),
+      cap AS (
+        SELECT
+          open.*,
+          p.bushelsCorn AS cornRatedCapacityBu,
+          CASE open.crop
+            WHEN 'Corn' THEN COALESCE(p.bushelsCorn,0) * 1.00
+            WHEN 'Soybeans' THEN CASE WHEN COALESCE(p.bushelsCorn,0) > 0 THEN p.bushelsCorn * 0.93 ELSE COALESCE(p.bushelsSoy,0) END
+            WHEN 'Wheat' THEN CASE WHEN COALESCE(p.bushelsCorn,0) > 0 THEN p.bushelsCorn * 1.07 ELSE COALESCE(p.bushelsWheat,0) END
+            WHEN 'Milo' THEN COALESCE(p.bushelsCorn,0) * 1.02
+            WHEN 'Oats' THEN COALESCE(p.bushelsCorn,0) * 0.78
+            ELSE COALESCE(p.bushelsCorn,0) * 1.00
+          END AS bagCapacityBu
+        FROM open
+        LEFT JOIN productsGrainBags p ON p.id = open.productId
+      ),
+      bu AS (
+        SELECT
+          cap.*,
+          COALESCE(remainingFull,0) * bagCapacityBu AS bushelsFull,
+          CASE
+            WHEN COALESCE(bagSizeFeet,0) <= 0 THEN 0
+            ELSE (COALESCE(remainingPartialFeetSum,0) / bagSizeFeet) * bagCapacityBu
+          END AS bushelsPartial
+        FROM cap
+      )
+      SELECT
+        putDownId, fieldId, fieldName, cropType, crop, cropYear,
+        bagSkuId, bagBrand, bagDiameterFt, bagSizeFeet, productId,
+        remainingFull, remainingPartial, remainingPartialFeetSum,
+        cornRatedCapacityBu, bagCapacityBu,
+        bushelsFull, bushelsPartial,
+        bushelsFull + bushelsPartial AS bushels
+      FROM bu`
+  },
+  {
+    name: "v_field_full",
+    sql: `
+      SELECT
+        f.id            AS fieldId,
+        f.name          AS fieldName,
+        f.county        AS county,
+        f.state         AS state,
+        f.acresTillable AS acresTillable,
+
+        f.hasHEL        AS hasHEL,
+        f.helAcres      AS helAcres,
+        f.hasCRP        AS hasCRP,
+        f.crpAcres      AS crpAcres,
+
+        f.farmId        AS farmId,
+        COALESCE(NULLIF(f.farmName, ''), fm.name) AS farmName,
+
+        f.rtkTowerId    AS rtkTowerId,
+        COALESCE(NULLIF(f.rtkTowerName, ''), rt.name) AS rtkTowerName,
+        rt.networkId    AS rtkNetworkId,
+        rt.frequency    AS rtkFrequency,
+
+        COALESCE(f.archived,0)  AS archived,
+        COALESCE(fm.archived,0) AS farmArchived
+
+      FROM fields f
+      LEFT JOIN farms fm     ON fm.id = f.farmId
+      LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId`
+  },
+  {
+    // ACTIVE fields only; farms with none still show (fieldCount 0).
+    name: "v_farm_rollup",
+    sql: `
+      SELECT
+        fm.id   AS farmId,
+        fm.name AS farmName,
+        fm.status AS status,
+        COALESCE(fm.archived,0) AS archived,
+        COUNT(f.id) AS fieldCount,
+        ROUND(SUM(COALESCE(f.acresTillable,0)), 2) AS tillableAcres,
+        SUM(CASE WHEN COALESCE(f.hasHEL,0)=1 THEN 1 ELSE 0 END) AS fieldsWithHEL,
+        ROUND(SUM(CASE WHEN COALESCE(f.hasHEL,0)=1 THEN COALESCE(f.helAcres,0) ELSE 0 END), 2) AS helAcres,
+        SUM(CASE WHEN COALESCE(f.hasCRP,0)=1 THEN 1 ELSE 0 END) AS fieldsWithCRP,
+        ROUND(SUM(CASE WHEN COALESCE(f.hasCRP,0)=1 THEN COALESCE(f.crpAcres,0) ELSE 0 END), 2) AS crpAcres,
+        COUNT(DISTINCT NULLIF(TRIM(f.county),'')) AS countyCount,
+        GROUP_CONCAT(DISTINCT NULLIF(TRIM(f.county),'')) AS counties
+      FROM farms fm
+      LEFT JOIN fields f ON f.farmId = fm.id AND COALESCE(f.archived,0) = 0
+      GROUP BY fm.id`
+  },
+  {
+    // onHandBushels / binCapacityBushels stay NULL when no bin reports one.
+    name: "v_bin_site_totals",
+    sql: `
+      SELECT
+        s.id           AS siteId,
+        s.name         AS siteName,
+        s.status       AS status,
+        s.used         AS used,
+        s.totalBushels AS totalBushels,
+        COUNT(b.binNum) AS binCount,
+        SUM(b.capacityBushels) AS binCapacityBushels,
+        SUM(b.onHandBushels) AS onHandBushels
+      FROM binSites s
+      LEFT JOIN binSiteBins b ON b.siteId = s.id
+      GROUP BY s.id`
+  }
+];
+
+export const VIEW_NAMES = SNAPSHOT_VIEWS.map((v) => v.name);
+
+/**
+ * dropViewsSql() -> "DROP VIEW IF EXISTS ...;" (reverse order: dependents first)
+ */
+export function dropViewsSql() {
+  return VIEW_NAMES.slice().reverse().map((v) => `DROP VIEW IF EXISTS ${v};`).join("\n");
+}
+
+/**
+ * createViewsSql() -> CREATE VIEW statements for the builder (inside the snapshot file)
+ */
+export function createViewsSql() {
+  return SNAPSHOT_VIEWS.map((v) => `CREATE VIEW ${v.name} AS ${v.sql};`).join("\n");
+}
+
+/**
+ * ensureViews(handle)
+ * Creates every canonical view the snapshot lacks as a TEMP view (connection-local).
+ * Call BEFORE PRAGMA query_only. A view whose tables/columns are missing is skipped.
+ * -> { temp: [names], failed: { <name>: message } }
+ */
+export function ensureViews(handle) {
+  const have = new Set(
+    handle.prepare(`SELECT name FROM sqlite_master WHERE type='view'`).all().map((r) => r.name)
+  );
+  const temp = [];
+  const failed = {};
+
+  for (const v of SNAPSHOT_VIEWS) {
+    if (have.has(v.name)) continue;
+    try {
+      handle.exec(`CREATE TEMP VIEW ${v.name} AS ${v.sql};`);
+      // SQLite resolves columns lazily; prepare once so a broken view fails here
+      handle.prepare(`SELECT * FROM ${v.name} LIMIT 0`);
+      temp.push(v.name);
+    } catch (e) {
+      try { handle.exec(`DROP VIEW IF EXISTS temp.${v.name};`); } catch {}
+      failed[v.name] = e?.message || String(e);
+    }
+  }
+
+  return { temp, failed };
+}
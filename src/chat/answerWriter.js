@@ -1,14 +1,19 @@
-import OpenAI from 'openai';
-const openai = new OpenAI();
+import { complete, stream } from './llm.js';
+
+function answerMessages(prompt, data) {
+  return [
+    { role: 'system', content: 'You write clear farm-operational answers.' },
+    { role: 'user', content: `${prompt}\n\nDATA:\n${JSON.stringify(data, null, 2)}` }
+  ];
+}
 
 export async function writeAnswer(prompt, data) {
-  const res = await openai.chat.completions.create({
-    model: 'gpt-4.1-mini',
-    messages: [
-      { role: 'system', content: 'You write clear farm-operational answers.' },
-      { role: 'user', content: `${prompt}\n\nDATA:\n${JSON.stringify(data, null, 2)}` }
-    ]
-  });
+  const res = await complete({ stage: 'write', messages: answerMessages(prompt, data) });
+  return res.text;
+}
 
-  return res.choices[0].message.content;
+// Same answer, streamed: onToken(text) per delta as it arrives; resolves to the full text.
+export async function writeAnswerStream(prompt, data, onToken) {
+  const res = await stream({ stage: 'write', messages: answerMessages(prompt, data) }, onToken);
+  return res.text;
 }
@@ -0,0 +1,189 @@
+// /src/chat/conversations.js  (FULL FILE)
+// Rev: 2026-10-19-v1-conversations
+//
+// Server-side conversation store for /chat threadId follow-ups.
+// - in-memory Map (threadId -> turns), newest MAX_TURNS kept per thread
+// - optional SQLite file (FV_CHAT_STORE_PATH): every turn is written through and threads
+//   not in memory (restart, other instance sharing the file) are loaded from it
+// - threads expire FV_CHAT_THREAD_TTL_MS (default 24h) after their last turn
+//
+// A turn = { at, question, intent, key, includeArchived, asOf, answer, result }
+//   answer/result are truncated previews (the classifier only needs the gist)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import Database from "better-sqlite3";
+
+const STORE_PATH = (process.env.FV_CHAT_STORE_PATH || "").toString().trim();
+const TTL_MS = Math.max(60 * 1000, Number(process.env.FV_CHAT_THREAD_TTL_MS || 24 * 60 * 60 * 1000));
+
+const MAX_TURNS = 20;
+const MAX_THREADS = 2000;
+const PREVIEW_CHARS = { answer: 600, result: 1200 };
+const PRUNE_EVERY_MS = 60 * 1000;
+
+const threads = new Map(); // threadId -> { threadId, createdAt, updatedAt, turns[] } (Map order = LRU)
+let store = null;
+let lastPruneAt = 0;
+
+function preview(v, max) {
+  const s = (typeof v === "string") ? v : (v == null ? "" : JSON.stringify(v));
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+function openStore() {
+  if (!STORE_PATH) return null;
+  if (store) return store;
+
+  fs.mkdirSync(path.dirname(path.resolve(STORE_PATH)), { recursive: true });
+  store = new Database(STORE_PATH);
+  store.pragma("journal_mode = WAL");
+  store.exec(`
+    CREATE TABLE IF NOT EXISTS chat_turns (
+      threadId TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      atMs INTEGER NOT NULL,
+      question TEXT,
+      intent TEXT,
+      key TEXT,
+      includeArchived INTEGER,
+      asOf TEXT,
+      answer TEXT,
+      result TEXT,
+      PRIMARY KEY (threadId, seq)
+    );
+    CREATE INDEX IF NOT EXISTS idx_chat_turns_at ON chat_turns(atMs);
+  `);
+  return store;
+}
+
+function rowToTurn(r) {
+  return {
+    at: new Date(r.atMs).toISOString(),
+    question: r.question || "",
+    intent: r.intent || "",
+    key: r.key || "",
+    includeArchived: Number(r.includeArchived) === 1,
+    asOf: r.asOf || "",
+    answer: r.answer || "",
+    result: r.result || ""
+  };
+}
+
+function loadFromStore(threadId) {
+  const s = openStore();
+  if (!s) return null;
+
+  const rows = s.prepare(`
+    SELECT * FROM chat_turns WHERE threadId = ? ORDER BY seq DESC LIMIT ?
+  `).all(threadId, MAX_TURNS).reverse();
+  if (!rows.length) return null;
+
+  return {
+    threadId,
+    createdAt: new Date(rows[0].atMs).toISOString(),
+    updatedAt: new Date(rows[rows.length - 1].atMs).toISOString(),
+    seq: Math.max(...rows.map((r) => r.seq)),
+    turns: rows.map(rowToTurn)
+  };
+}
+
+function expired(t) {
+  return Date.now() - Date.parse(t.updatedAt) > TTL_MS;
+}
+
+function prune() {
+  const now = Date.now();
+  if (now - lastPruneAt < PRUNE_EVERY_MS) return;
+  lastPruneAt = now;
+
+  for (const [id, t] of threads) {
+    if (expired(t)) threads.delete(id);
+  }
+  while (threads.size > MAX_THREADS) threads.delete(threads.keys().next().value);
+
+  const s = openStore();
+  if (s) s.prepare(`DELETE FROM chat_turns WHERE atMs < ?`).run(now - TTL_MS);
+}
+
+export function newThreadId() {
+  return crypto.randomUUID();
+}
+
+export function isValidThreadId(v) {
+  return /^[A-Za-z0-9_-]{1,80}$/.test((v ?? "").toString());
+}
+
+/**
+ * getThread(threadId) -> { threadId, createdAt, updatedAt, turns[] } | null (unknown or expired)
+ */
+export function getThread(threadId) {
+  let t = threads.get(threadId) || null;
+  if (!t) {
+    t = loadFromStore(threadId);
+    if (t) threads.set(threadId, t);
+  }
+  if (!t) return null;
+  if (expired(t)) {
+    threads.delete(threadId);
+    return null;
+  }
+  const { seq, ...out } = t;
+  return out;
+}
+
+/**
+ * recentTurns(threadId, n) -> last n turns, oldest first ([] for a new thread)
+ */
+export function recentTurns(threadId, n = 3) {
+  const t = getThread(threadId);
+  return t ? t.turns.slice(-n) : [];
+}
+
+/**
+ * appendTurn(threadId, turn)
+ * turn: { question, intent, key, includeArchived, asOf, answer, result }
+ */
+export function appendTurn(threadId, turn) {
+  prune();
+
+  const nowMs = Date.now();
+  const at = new Date(nowMs).toISOString();
+  let t = threads.get(threadId) || loadFromStore(threadId);
+  if (!t || expired(t)) t = { threadId, createdAt: at, updatedAt: at, seq: 0, turns: [] };
+
+  const entry = {
+    at,
+    question: preview(turn.question, PREVIEW_CHARS.answer),
+    intent: (turn.intent || "").toString(),
+    key: (turn.key || "").toString(),
+    includeArchived: turn.includeArchived === true,
+    asOf: (turn.asOf || "").toString(),
+    answer: preview(turn.answer, PREVIEW_CHARS.answer),
+    result: preview(turn.result, PREVIEW_CHARS.result)
+  };
+
+  t.seq += 1;
+  t.updatedAt = at;
+  t.turns.push(entry);
+  if (t.turns.length > MAX_TURNS) t.turns.splice(0, t.turns.length - MAX_TURNS);
+
+  // re-insert = most recently used last
+  threads.delete(threadId);
+  threads.set(threadId, t);
+
+  const s = openStore();
+  if (s) {
+    s.prepare(`
+      INSERT OR REPLACE INTO chat_turns
+        (threadId, seq, atMs, question, intent, key, includeArchived, asOf, answer, result)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      threadId, t.seq, nowMs, entry.question, entry.intent, entry.key,
+      entry.includeArchived ? 1 : 0, entry.asOf, entry.answer, entry.result
+    );
+  }
+
+  return entry;
+}
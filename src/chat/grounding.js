@@ -0,0 +1,176 @@
+// /src/chat/grounding.js  (FULL FILE)
+// Rev: 2026-10-19-v1-grounding
+//
+// Numeric grounding check for LLM-written answers: every figure in the prose must come from the getter data.
+//
+// groundAnswer(text, data, { asOf }) ->
+//   { status: "grounded" | "unsupported", mode, action: "none" | "flagged" | "rejected",
+//     checked, matched, unsupported: ["15,300", ...] }
+//
+// - Figures = numbers in the answer (1,234.5 / 15.2% / 15.2k / 1.2 million). Not checked: dates, times,
+//   years (1900-2099 only where the words say so: "crop year 2025", "in 2024", "2025 harvest"), list markers ("1."),
+//   and "## ..." section titles. Numbers the user typed are checked too: "yes, 50,000 bushels" must be in the data.
+// - Supported = a value in data (numbers, numeric strings, numbers inside strings like headlines), the length of
+//   any array, or the sum of one quantity key (acres, bushels, counts, capacities) across an array of rows ...
+//   Id, timestamp and duration keys (fieldId, snapshotId, updatedAt, buildMs, ...) are not values; years and
+//   binNum are values but never summed.
+// - ... as written, allowing rounding: 15,216.7 may be written 15,217 / 15,200 / 15.2k; 0.152 may be 15.2%.
+//
+// FV_GROUNDING=flag (default): unsupported figures are listed under the answer and in meta.grounding.
+// FV_GROUNDING=reject: the answer is replaced with the template answer (./templates.js).
+// FV_GROUNDING=off: no check.
+
+const MAX_LISTED = 20;
+
+const DATE_RES = [
+  /\b\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?/g,
+  /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g,
+  /\b\d{1,2}:\d{2}(?::\d{2})?\b/g,
+  /\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+\d{1,2}(?:st|nd|rd|th)?\b(?:,?\s+\d{4})?/gi
+];
+
+// sign only at a word start, so "T-12" and "8R" are not figures
+const NUM_RE = /(?<![\w.\/-])(-?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\s*%|\s*(?:k|thousand|million)\b)?(?![\w\/]|\.\d)/gi;
+
+const SCALE = { k: 1e3, thousand: 1e3, million: 1e6 };
+
+export function groundingMode() {
+  const m = (process.env.FV_GROUNDING || "flag").trim().toLowerCase();
+  return ["flag", "reject", "off"].includes(m) ? m : "flag";
+}
+
+function stripUnchecked(text) {
+  let t = String(text || "")
+    .split("\n")
+    .filter((line) => !/^\s*#{1,6}\s/.test(line))
+    .map((line) => line.replace(/^\s*\d+[.)]\s+/, ""))
+    .join("\n");
+  for (const re of DATE_RES) t = t.replace(re, " ");
+  return t;
+}
+
+/**
+ * extractFigures(text) -> [{ raw, value, decimals, scale, percent, index }]
+ */
+export function extractFigures(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(NUM_RE)) {
+    const [raw, sign, int, frac = "", suffix = ""] = m;
+    const s = suffix.trim().toLowerCase();
+    const percent = s === "%";
+    const scale = SCALE[s] || 1;
+    const value = Number(`${sign}${int.replace(/,/g, "")}${frac}`) * scale;
+    if (!Number.isFinite(value)) continue;
+    out.push({ raw: raw.trim(), value, decimals: frac ? frac.length - 1 : 0, scale, percent, index: m.index });
+  }
+  return out;
+}
+
+const YEAR_BEFORE_RE = /\b(?:crop\s*year|year|yr|in|since|during|harvest|season)\s*$/i;
+const YEAR_AFTER_RE = /^\s*(?:crop|harvest|season|growing season|crop year)\b/i;
+
+// "Corn: 1980 bushels" is a figure; "crop year 2025" / "in 2024" / "2025 harvest" is a year
+function isYear(f, text) {
+  if (f.scale !== 1 || f.percent || f.decimals || !/^\d{4}$/.test(f.raw) || f.value < 1900 || f.value > 2099) return false;
+  const before = text.slice(Math.max(0, f.index - 24), f.index);
+  const after = text.slice(f.index + f.raw.length, f.index + f.raw.length + 24);
+  return YEAR_BEFORE_RE.test(before) || YEAR_AFTER_RE.test(after);
+}
+
+// ids, timestamps and durations are never figures an answer cites; their values stay out of the pool
+const ID_KEY_RE = /(?:^id|Id|ID)s?$|^(?:serial|generation|metageneration|etag|hash)$/;
+// ... except ids people quote as numbers (RTK network 4010)
+const CITED_ID_KEYS = new Set(["networkId", "rtkNetworkId"]);
+const TIME_KEY_RE = /(?:At|Ms|ISO|Iso)$|^(?:date|time|ts|timestamp)/;
+// column sums only for quantities the getters and templates total (acres, bushels, counts, capacities)
+const SUM_KEY_RE = /^(?:acres|bushels|count|capacity)|^n$|(?:acres|bushels|bu|count|capacity|full|partial)$/i;
+
+// every number the answer may cite: data values, numbers inside text, array lengths, quantity column sums
+function collectValues(data, into = new Set()) {
+  const walk = (v, key = "") => {
+    if (v == null || (ID_KEY_RE.test(key) && !CITED_ID_KEYS.has(key)) || TIME_KEY_RE.test(key)) return;
+    if (typeof v === "number") {
+      if (Number.isFinite(v)) into.add(v);
+      return;
+    }
+    if (typeof v === "boolean") return;
+    if (typeof v === "string") {
+      for (const f of extractFigures(stripUnchecked(v))) into.add(f.value);
+      return;
+    }
+    if (Array.isArray(v)) {
+      into.add(v.length);
+      const sums = new Map();
+      for (const item of v) {
+        if (item && typeof item === "object" && !Array.isArray(item)) {
+          for (const [k, x] of Object.entries(item)) {
+            if (SUM_KEY_RE.test(k) && typeof x === "number" && Number.isFinite(x)) sums.set(k, (sums.get(k) || 0) + x);
+          }
+        }
+        walk(item, key);
+      }
+      for (const s of sums.values()) into.add(s);
+      return;
+    }
+    if (typeof v === "object") {
+      for (const [k, x] of Object.entries(v)) walk(x, k);
+    }
+  };
+  walk(data);
+  return into;
+}
+
+// how far a written figure may be from the value it rounds
+function tolerance(f) {
+  let step = 10 ** -f.decimals;
+  if (!f.decimals && f.scale === 1 && Math.abs(f.value) >= 1000) {
+    // "15,000" for 15,216.7: trailing zeros are rounding, keeping at least 2 significant digits
+    const digits = String(Math.abs(Math.trunc(f.value)));
+    const zeros = digits.length - digits.replace(/0+$/, "").length;
+    step = 10 ** Math.min(zeros, digits.length - 2);
+  }
+  return (step * f.scale) / 2 + 1e-9;
+}
+
+function supported(f, values) {
+  const tol = tolerance(f);
+  const a = Math.abs(f.value);
+  for (const v of values) {
+    const b = Math.abs(v);
+    if (Math.abs(b - a) <= tol) return true;
+    if (f.percent && Math.abs(b * 100 - a) <= tol) return true;
+  }
+  return false;
+}
+
+/**
+ * groundAnswer(text, data, ctx) -> grounding result (see header)
+ * ctx: { asOf (withDb snap or null) }
+ */
+export function groundAnswer(text, data, ctx = {}) {
+  const mode = groundingMode();
+  const values = collectValues(data);
+  collectValues(ctx.asOf || null, values);
+
+  const checkedText = stripUnchecked(text);
+  const figures = extractFigures(checkedText).filter((f) => !isYear(f, checkedText));
+
+  const unsupported = figures.filter((f) => !supported(f, values)).map((f) => f.raw);
+  const status = unsupported.length ? "unsupported" : "grounded";
+
+  return {
+    status,
+    mode,
+    action: status === "grounded" ? "none" : (mode === "reject" ? "rejected" : "flagged"),
+    checked: figures.length,
+    matched: figures.length - unsupported.length,
+    unsupported: [...new Set(unsupported)].slice(0, MAX_LISTED)
+  };
+}
+
+/**
+ * groundingNote(result) -> text appended to a flagged answer
+ */
+export function groundingNote(result) {
+  return `\n\n_Check these figures: ${result.unsupported.join(", ")} — not found in the data this answer was written from._`;
+}
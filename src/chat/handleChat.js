@@ -1,5 +1,5 @@
 // /src/chat/handleChat.js  (FULL FILE)
-// Rev: 2026-01-23-v6-handlechat-add-hel-crp-totals
+// Rev: 2026-10-19-v20-handlechat-grounding
 //
 // Enforces: ACTIVE ONLY by default.
 // includeArchived=true requests separated archived results (where getter supports it).
@@ -7,10 +7,47 @@
 // Update:
 // - HEL_TOTALS / CRP_TOTALS / HEL_CRP_TOTALS now supported.
 // - Uses toggle-first logic in getter: hasHEL/hasCRP determines field counts; acres sum only when toggle is on.
+// - Each request runs inside withDb(): getters see one snapshot even if /db/reload swaps mid-request.
+// - asOf (body.asOf, else the date detectIntent extracted) pins the nearest historical snapshot;
+//   meta.asOf reports which snapshot answered.
+// - DIFF compares asOf (default yesterday) -> live instead of pinning asOf.
+// - DATA_QUALITY lists build-time audit findings (_data_issues).
+// - SEARCH returns ranked full-text hits (_search) across fields/farms/towers/equipment/notes.
+// - Keys naming one record (field, RTK tower, county, bin site) go through resolveEntity() first:
+//   typos are corrected; an ambiguous key (or a miss with close suggestions) answers with a
+//   "did you mean" list (didYouMean.candidates with ids) instead of guessing. meta.resolution shows it.
+// - threadId (body.threadId, else a new one; echoed in the response + meta.threadId): the last turns
+//   of the thread go to detectIntent so follow-ups ("show archived too", "what about Adams county?")
+//   inherit/modify the previous intent, key and includeArchived. Turns live in ./conversations.js.
+// - Intent comes from the rule router (./router.js) when a rule fires with enough confidence, else from
+//   detectIntent (LLM). meta.intentRoute = { path: "rules" | "llm", rule, confidence, validation }.
+// - CLARIFY (low-confidence / vague / missing key) answers with ONE targeted question instead of a guess;
+//   meta.clarify = { question, guess }. The thread history carries the answer back to the classifier.
+// - Compound questions (intent.parts, 2+): each part runs its own getter + answer; one response with a
+//   "## <question>" section per part. meta.intent = "MULTI", meta.parts[] = each part's intent/key/resolution.
+//   All parts answer from the same pinned snapshot.
+// - Streaming (POST /chat/stream, or /chat with Accept: text/event-stream): Server-Sent Events
+//   intent -> data (getter output) -> token* (answer text as it is written) -> meta (same block as /chat).
+//   Compound parts stream one after another (data carries part: i). Failures after the stream opens -> event: error.
+// - Models run through ./llm.js (openai | local | mock per stage). meta.usedOpenAI / provider / model and
+//   meta.llm = { classify, write, calls } report what actually ran (null / false when no model was called).
+// - style (body.style, else FV_ANSWER_STYLE, else "llm"): "template" renders exact markdown from the getter
+//   output (./templates.js) instead of LLM prose. "llm" falls back to the template when the write model is
+//   unavailable (no OPENAI_API_KEY) or fails before any text was sent; without a classifier (no key, or the
+//   classify call throws) the rule router's best guess is used, else UNKNOWN (meta.intentRoute.fallback = why).
+//   meta.style = "template" | "llm" ("mixed" across compound parts), meta.styleFallback = why.
+// - LLM answers go through the numeric grounding check (./grounding.js): figures not found in the getter data are
+//   flagged under the answer (FV_GROUNDING=flag, default) or the template answer replaces it (FV_GROUNDING=reject;
+//   streaming sends event: replace { text }). meta.grounding = { status, mode, action, checked, matched, unsupported }.
 
 import { detectIntent } from "./intent.js";
-import { writeAnswer } from "./answerWriter.js";
-import { ensureReady } from "../data/sqlite.js";
+import { writeAnswer, writeAnswerStream } from "./answerWriter.js";
+import { routeIntent, ROUTER_MIN_CONFIDENCE } from "./router.js";
+import { renderTemplate } from "./templates.js";
+import { groundAnswer, groundingMode, groundingNote } from "./grounding.js";
+import { withLlmUsage, llmMeta, llmAvailable } from "./llm.js";
+import { newThreadId, isValidThreadId, recentTurns, appendTurn } from "./conversations.js";
+import { ensureReady, withDb } from "../data/sqlite.js";
 
 import {
   getFieldFullByKey,
@@ -34,7 +71,19 @@ import {
   getBinMovements,
 
   // NEW: HEL/CRP totals
-  getHelCrpTotals
+  getHelCrpTotals,
+
+  // NEW: snapshot diff (async)
+  getSnapshotDiff,
+
+  // NEW: data quality audit
+  getDataIssues,
+
+  // NEW: full-text search
+  getSearch,
+
+  // NEW: typo-tolerant key resolution
+  resolveEntity
 } from "../data/getters/index.js";
 
 function pickPrompt(body) {
@@ -63,11 +112,87 @@ function isBagCountQuestion(s){
   return asksCount && mentionsBags;
 }
 
+// intents whose key names ONE record -> resolveEntity kind
+const RESOLVE_KIND = {
+  FIELD_FULL: "field",
+  RTK_TOWER_FIELDS: "rtkTower",
+  COUNTY_FIELDS: "county",
+  COUNTY_FARMS: "county",
+  COUNTY_STATS: "county",
+  BIN_MOVEMENTS: "binSite"
+};
+
+const KIND_LABEL = {
+  field: "field",
+  farm: "farm",
+  county: "county",
+  rtkTower: "RTK tower",
+  binSite: "bin site",
+  equipment: "equipment item"
+};
+
+function didYouMeanText(r){
+  const what = KIND_LABEL[r.kind] || r.kind;
+  const head = (r.status === "ambiguous")
+    ? `"${r.key}" matches more than one ${what}. Did you mean:`
+    : `I couldn't find a ${what} named "${r.key}". Did you mean:`;
+  const lines = r.candidates.map(c =>
+    `- ${c.name}${c.detail ? ` (${c.detail})` : ""}${c.archived ? " [ARCHIVED]" : ""} — id ${c.id}`
+  );
+  return [head, ...lines].join("\n");
+}
+
+function resolutionMeta(r){
+  if (!r) return null;
+  return {
+    kind: r.kind,
+    key: r.key,
+    status: r.status,
+    id: r.match?.id || null,
+    name: r.match?.name || null,
+    score: r.match?.score ?? null
+  };
+}
+
+function wantsEventStream(req){
+  return req.path === "/chat/stream" || /text\/event-stream/i.test(req.get?.("accept") || "");
+}
+
+// SSE writer; writes after the client went away are dropped
+function openEventStream(res){
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  return {
+    send(event, payload){
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    },
+    end(){
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+// how many previous turns the classifier sees
+const HISTORY_TURNS = 3;
+
+const ANSWER_STYLES = ["template", "llm"];
+
 const EQUIPMENT_TYPES = new Set([
   "tractor","combine","implement","sprayer","truck","trailer","construction","fertilizer","starfire"
 ]);
 
 export async function handleChat(req, res) {
+  return withLlmUsage((llmCalls) => chatRequest(req, res, llmCalls));
+}
+
+async function chatRequest(req, res, llmCalls) {
+  let stream = null;
   try {
     const promptIn = pickPrompt(req.body);
     if (!promptIn) {
@@ -76,247 +201,607 @@ export async function handleChat(req, res) {
 
     await ensureReady();
 
-    const intent = await detectIntent(promptIn);
-    const includeArchived = intent?.includeArchived === true;
+    const bodyAsOf = normKey(req.body?.asOf);
+    if (bodyAsOf && !Number.isFinite(Date.parse(bodyAsOf))) {
+      return res.status(400).json({ ok: false, error: "Bad asOf (want YYYY-MM-DD or ISO timestamp)" });
+    }
 
-    let data;
-    let prompt;
+    const bodyThreadId = normKey(req.body?.threadId);
+    if (bodyThreadId && !isValidThreadId(bodyThreadId)) {
+      return res.status(400).json({ ok: false, error: "Bad threadId (want 1-80 of A-Z a-z 0-9 _ -)" });
+    }
+    const style = lower(req.body?.style || process.env.FV_ANSWER_STYLE || "llm");
+    if (!ANSWER_STYLES.includes(style)) {
+      return res.status(400).json({ ok: false, error: `Bad style (want ${ANSWER_STYLES.join(" or ")})` });
+    }
+    // no write model -> templates instead of a 500
+    const writeStyle = (style === "llm" && !llmAvailable("write"))
+      ? { style: "template", styleFallback: "answer model unavailable (OPENAI_API_KEY not set)" }
+      : { style, styleFallback: null };
+
+    const threadId = bodyThreadId || newThreadId();
+    const history = recentTurns(threadId, HISTORY_TURNS);
+
+    stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+    // Rules first; the LLM only classifies what no rule is sure about
+    // (no classifier available -> the router's best guess, else UNKNOWN)
+    const routed = routeIntent(promptIn, { history });
+    const canClassify = llmAvailable("classify");
+    const useRules = !!routed && (routed.confidence >= ROUTER_MIN_CONFIDENCE || !canClassify);
+    let classifyFallback = canClassify ? null : "intent model unavailable (OPENAI_API_KEY not set)";
+    let intent = useRules ? routed : null;
+    if (!intent && canClassify) {
+      try {
+        intent = await detectIntent(promptIn, { history });
+      } catch (err) {
+        // classifier outage (network, 5xx, rate limit): same as no classifier
+        console.error(err);
+        classifyFallback = `intent model failed: ${err?.message || String(err)}`;
+      }
+    }
+    if (!intent) intent = routed || { intent: "UNKNOWN", key: "", includeArchived: false, asOf: "" };
+    const classified = !useRules && !classifyFallback;
+    const intentRoute = {
+      path: classified ? "llm" : "rules",
+      rule: routed?.rule || null,
+      confidence: routed?.confidence ?? null,
+      validation: classified ? (intent?.validation || null) : null,
+      ...(classifyFallback ? { fallback: classifyFallback } : {})
+    };
+    const intentAsOf = normKey(intent?.asOf);
+    // a model-extracted date that doesn't parse is ignored, not an error
+    const asOf = bodyAsOf || (Number.isFinite(Date.parse(intentAsOf)) ? intentAsOf : "");
+
+    const parts = (Array.isArray(intent?.parts) && intent.parts.length > 1) ? intent.parts : null;
+
+    // DIFF reads two snapshots itself; everything else answers from the one asOf pins
+    const isDiff = (parts || [intent]).every((p) => (p?.intent || "").toUpperCase() === "DIFF");
+
+    if (stream) {
+      stream.send("intent", {
+        threadId,
+        intent: parts ? "MULTI" : (intent?.intent || "UNKNOWN"),
+        key: parts ? "" : normKey(intent?.key),
+        includeArchived: intent?.includeArchived === true,
+        asOf,
+        parts: parts ? parts.map((p) => ({ question: normKey(p.question), intent: p.intent, key: normKey(p.key) })) : null,
+        intentRoute
+      });
+    }
 
-    const intentName = (intent?.intent || "").toUpperCase();
-    const key = normKey(intent?.key);
+    // Pin one snapshot handle for the whole request (a /db/reload may hot-swap mid-answer).
+    const { body, data } = await withDb(
+      (snap) => parts
+        ? answerParts(promptIn, parts, snap, asOf, { stream, ...writeStyle })
+        : answerChatStreamed(promptIn, intent, snap, asOf, { stream, ...writeStyle }),
+      { asOf: isDiff ? "" : asOf }
+    );
+
+    appendTurn(threadId, {
+      question: promptIn,
+      intent: body.meta.intent,
+      key: body.meta.key,
+      includeArchived: body.meta.includeArchived,
+      asOf,
+      answer: body.text,
+      result: data ?? body.didYouMean ?? null
+    });
 
-    switch (intentName) {
-      case "FIELD_FULL":
-        data = getFieldFullByKey(key, { includeArchived });
-        prompt =
-          "Write a complete field summary for operations. Default is ACTIVE ONLY. If the field is archived, clearly label it ARCHIVED. Include farm + county/state + tillable acres + HEL/CRP + RTK tower/network/frequency if present.";
-        break;
+    body.threadId = threadId;
+    body.meta.threadId = threadId;
+    body.meta.historyTurns = history.length;
+    body.meta.intentRoute = intentRoute;
 
-      case "GRAIN_BAGS_DOWN":
-        data = getGrainBagsDownSummary();
-        prompt =
-          "Summarize grain bags currently down. For each cropType show remaining full/partial counts and bushelsFull/bushelsPartial/bushelsTotal. " +
-          "If the user asked for a bag count, give the bag counts first.";
-        break;
-
-      case "GRAIN_BAGS_REPORT": {
-        const k = lower(key);
-        const crop =
-          (k.includes("corn") ? "corn" :
-           (k.includes("soy") || k.includes("bean")) ? "soybeans" :
-           k.includes("wheat") ? "wheat" :
-           "");
-        data = getGrainBagsReport({ crop: crop || "" });
-
-        if (isBagCountQuestion(promptIn)){
-          prompt =
-            "The user is asking for HOW MANY BAGS, not a bushel-first report. " +
-            "Answer with BAG COUNT FIRST for the requested crop (or all crops if none specified). " +
-            "Inventory definition for BAG COUNTS: PUTDOWN-only from grain_bag_events (type='putDown') using counts.full + counts.partial. " +
-            "Then (optional) include supporting totals like bushelsFull/bushelsPartial/bushelsTotal and small rollups by county/farm if available. " +
-            "Keep it short and operational.";
-        } else {
-          prompt =
-            "Summarize grain bags with a strong focus on BUSHELS BY CROP (most important). " +
-            "Show totals by crop (bushelsFull/bushelsPartial/bushelsTotal, plus remaining full/partial counts if present). " +
-            "Then show rollups by county and by farm. " +
-            "Finally list notable putDowns (top remaining bushels) with field -> farm -> county and bag capacity proof. " +
-            "Keep it readable and operational.";
-        }
-        break;
-      }
+    const { llm, ...used } = llmMeta(llmCalls);
+    body.meta = { ...used, ...body.meta, llm };
 
-      case "RTK_TOWER_COUNT":
-        data = getRtkTowerCount();
-        prompt = "Answer in one sentence with the total count of RTK towers.";
-        break;
+    if (stream) {
+      stream.send("meta", body.meta);
+      stream.end();
+      return;
+    }
+    res.json(body);
+  } catch (err) {
+    console.error(err);
+    if (stream) {
+      stream.send("error", { ok: false, error: err?.message || String(err) });
+      stream.end();
+      return;
+    }
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+}
 
-      case "RTK_TOWER_LIST":
-        data = getRtkTowerList({ includeArchived });
-        prompt =
-          "List all RTK towers. Default is ACTIVE ONLY (fieldCount based on active fields). For each include towerName, networkId, frequency, and fieldCount. Keep it readable.";
-        break;
+function sectionTitle(part, i){
+  const q = normKey(part?.question).replace(/[?.!]+$/, "");
+  return q ? q.charAt(0).toUpperCase() + q.slice(1) : `Part ${i + 1}`;
+}
 
-      case "RTK_TOWER_FIELDS":
-        data = getFieldsByRtkTowerKey(key, { includeArchived });
-        prompt =
-          "Show the RTK tower info (name, network, frequency). Default is ACTIVE ONLY. Then list the ACTIVE fields assigned to it. If includeArchived=true and there are archived fields, show a separate ARCHIVED section.";
-        break;
+/**
+ * answerChatStreamed(promptIn, intent, snap, asOf, opts, extra) -> answerChat result
+ * opts: { stream, style, styleFallback }
+ * Without a stream: plain answerChat. With one: event data (+ extra, e.g. { part }) then tokens;
+ * answers that never reach the writer (did-you-mean, clarify, unknown) send their text as one token.
+ */
+async function answerChatStreamed(promptIn, intent, snap, asOf, opts = {}, extra = {}) {
+  const { stream, ...writeStyle } = opts;
+  if (!stream) return answerChat(promptIn, intent, snap, asOf, writeStyle);
+
+  let sentData = false;
+  const out = await answerChat(promptIn, intent, snap, asOf, {
+    ...writeStyle,
+    stream: {
+      data: (d) => {
+        sentData = true;
+        stream.send("data", { ...extra, data: d ?? null });
+      },
+      token: (t) => stream.send("token", { text: t }),
+      replace: (t) => stream.send("replace", { ...extra, text: t })
+    }
+  });
 
-      case "COUNTIES_FARMED":
-        data = getCountySummary({ includeArchived });
-        prompt =
-          "Default is ACTIVE ONLY. Answer how many counties we farm in (active). Then list each active county with fieldCount and tillableAcres. If includeArchived=true, add a separate ARCHIVED-ONLY section for counties that have zero active fields.";
-        break;
+  if (!sentData) {
+    stream.send("data", { ...extra, data: out.data ?? out.body.didYouMean ?? null });
+    stream.send("token", { text: out.body.text });
+  }
+  return out;
+}
 
-      case "COUNTY_FIELDS":
-        data = getFieldsInCounty(key, { includeArchived });
-        prompt =
-          "Default is ACTIVE ONLY. Show the county name, then list ACTIVE fields in that county. For each field show fieldName, farmName, acresTillable, and HEL/CRP acres if any. If includeArchived=true and there are archived fields, show them in a separate ARCHIVED section.";
-        break;
+/**
+ * answerParts(promptIn, parts, snap, asOf, opts) -> { body, data[] }
+ * opts: { stream, style, styleFallback }
+ * One answerChat per part (same snapshot), composed into one answer with a section per part.
+ * Streaming runs the parts in order so sections don't interleave.
+ */
+async function answerParts(promptIn, parts, snap, asOf, opts = {}) {
+  const { stream, ...writeStyle } = opts;
+  let answers;
+  if (stream) {
+    answers = [];
+    for (const [i, p] of parts.entries()) {
+      stream.send("token", { text: `${i ? "\n\n" : ""}## ${sectionTitle(p, i)}\n\n` });
+      answers.push(await answerChatStreamed(normKey(p.question) || promptIn, p, snap, asOf, opts, { part: i }));
+    }
+  } else {
+    answers = await Promise.all(
+      parts.map((p) => answerChat(normKey(p.question) || promptIn, p, snap, asOf, writeStyle))
+    );
+  }
 
-      case "COUNTY_FARMS":
-        data = getFarmsInCounty(key, { includeArchived });
-        prompt =
-          "Default is ACTIVE ONLY. Show the county name, then list farms that have ACTIVE fields in that county. For each farm show farmName, fieldCount, and tillableAcres. If includeArchived=true, include a separate ARCHIVED section.";
-        break;
+  // parts that never reached a writer (did-you-mean, clarify) have no style
+  const styles = [...new Set(answers.map((a) => a.body.meta.style).filter(Boolean))];
+  const fallbacks = [...new Set(answers.map((a) => a.body.meta.styleFallback).filter(Boolean))];
+  const groundings = answers.map((a) => a.body.meta.grounding).filter(Boolean);
 
-      case "COUNTY_STATS":
-        data = getCountyStatsByKey(key, { includeArchived });
-        prompt =
-          "Default is ACTIVE ONLY. Give county totals for ACTIVE fields: fieldCount, tillableAcres, HEL acres + helFieldCount, CRP acres + crpFieldCount. If includeArchived=true, also show a separate ARCHIVED totals section.";
-        break;
-
-      // ---------------------------
-      // HEL / CRP TOTALS (NEW)
-      // ---------------------------
-      case "HEL_TOTALS":
-        data = getHelCrpTotals({ includeArchived, mode: "hel" });
-        prompt =
-          "Answer clearly with HEL totals. Use the toggle-first rule: field counts come from hasHEL (not acres). " +
-          "Sum helAcres ONLY for fields where hasHEL is true. Default ACTIVE ONLY. " +
-          "Return: total HEL acres + count of fields with HEL. Also include optional by-county and by-farm rollups if present. " +
-          "If includeArchived=true, show a separate ARCHIVED section.";
-        break;
-
-      case "CRP_TOTALS":
-        data = getHelCrpTotals({ includeArchived, mode: "crp" });
-        prompt =
-          "Answer clearly with CRP totals. Use the toggle-first rule: field counts come from hasCRP (not acres). " +
-          "Sum crpAcres ONLY for fields where hasCRP is true. Default ACTIVE ONLY. " +
-          "Return: total CRP acres + count of fields with CRP. Also include optional by-county and by-farm rollups if present. " +
-          "If includeArchived=true, show a separate ARCHIVED section.";
-        break;
-
-      case "HEL_CRP_TOTALS":
-        data = getHelCrpTotals({ includeArchived, mode: "both" });
-        prompt =
-          "Answer clearly with BOTH HEL and CRP totals. Use toggle-first: field counts come from hasHEL/hasCRP (not acres). " +
-          "Sum helAcres only when hasHEL is true; sum crpAcres only when hasCRP is true. Default ACTIVE ONLY. " +
-          "Return: HEL acres + fieldsWithHEL, and CRP acres + fieldsWithCRP. " +
-          "Optionally include by-county and by-farm rollups if present. If includeArchived=true, show a separate ARCHIVED section.";
-        break;
-
-      // ---------------------------
-      // Boundary Requests
-      // ---------------------------
-      case "BOUNDARY_REQUESTS": {
-        const k = lower(key) || "open";
-        const status =
-          (k.includes("all") ? "all" :
-           k.includes("complete") ? "completed" :
-           k.includes("open") ? "open" :
-           "open");
-
-        data = getBoundaryRequests({ includeArchived, status });
-        prompt =
-          "Summarize boundary fix requests. Default is ACTIVE ONLY (Open). Show counts, then group by farm -> field. For each request show boundaryType, scope, when/date, and short notes. If includeArchived=true or status is all/completed, show a separate COMPLETED/ARCHIVED section.";
-        break;
-      }
+  const text = answers
+    .map((a, i) => `## ${sectionTitle(parts[i], i)}\n\n${a.body.text}`)
+    .join("\n\n");
 
-      // ---------------------------
-      // Field Maintenance
-      // ---------------------------
-      case "FIELD_MAINTENANCE": {
-        const k = lower(key);
-        const status = k || null; // allow "needs approved", "pending", "all", or null
-        data = getFieldMaintenance({ includeArchived, status });
-        prompt =
-          "Summarize field maintenance. Default is ACTIVE ONLY. Show counts by status and topic, then group by farm -> field. For each item show topic, priority, status, photo count, submittedBy, and short notes. If includeArchived=true show separate ARCHIVED section.";
-        break;
+  return {
+    data: answers.map((a) => a.data ?? null),
+    body: {
+      ok: true,
+      text,
+      answer: text,
+      meta: {
+        route: "/chat",
+        intent: "MULTI",
+        key: "",
+        includeArchived: parts.some((p) => p?.includeArchived === true),
+        asOf: snap,
+        style: styles.length > 1 ? "mixed" : (styles[0] || null),
+        styleFallback: fallbacks.length ? fallbacks.join("; ") : null,
+        grounding: groundings.length ? {
+          status: groundings.some((g) => g.status === "unsupported") ? "unsupported" : "grounded",
+          mode: groundings[0].mode,
+          action: groundings.some((g) => g.action === "rejected") ? "rejected"
+            : groundings.some((g) => g.action === "flagged") ? "flagged" : "none",
+          checked: groundings.reduce((n, g) => n + g.checked, 0),
+          matched: groundings.reduce((n, g) => n + g.matched, 0),
+          unsupported: [...new Set(groundings.flatMap((g) => g.unsupported))]
+        } : null,
+        parts: answers.map((a, i) => ({
+          question: normKey(parts[i].question),
+          intent: a.body.meta.intent,
+          key: a.body.meta.key || "",
+          includeArchived: a.body.meta.includeArchived === true,
+          resolution: a.body.meta.resolution || null,
+          style: a.body.meta.style || null,
+          grounding: a.body.meta.grounding || null,
+          ...(a.body.didYouMean ? { didYouMean: a.body.didYouMean } : {}),
+          ...(a.body.meta.clarify ? { clarify: a.body.meta.clarify } : {})
+        }))
       }
+    }
+  };
+}
 
-      // ---------------------------
-      // Equipment
-      // ---------------------------
-      case "EQUIPMENT": {
-        const k = lower(key);
-        const type = EQUIPMENT_TYPES.has(k) ? k : "";
-        const q = (!type && key) ? key : "";
-        data = getEquipment({ includeArchived, type, q });
-        prompt =
-          "List equipment. Default is ACTIVE ONLY. Show counts by type, then list each item as a one-line summary. If includeArchived=true, show a separate ARCHIVED section.";
-        break;
-      }
+/**
+ * answerChat(promptIn, intent, snap, asOf, opts) -> { body (the /chat response), data (getter output or null) }
+ * opts.stream (optional): { data(d), token(t), replace(t) } - getter output before writing, then answer deltas
+ *   (replace: the streamed answer failed the grounding check; t is the template answer that stands instead)
+ * opts.style: "llm" (default) | "template"; opts.styleFallback: why "template" replaced "llm" (or null)
+ */
+async function answerChat(promptIn, intent, snap, asOf, opts = {}) {
+  const { stream = null } = opts;
+  const includeArchived = intent?.includeArchived === true;
+
+  let data;
+  let prompt;
+
+  const intentName = (intent?.intent || "").toUpperCase();
+  let key = normKey(intent?.key);
+
+  // Resolve single-record keys (typos, ambiguity) before any getter runs
+  let resolution = null;
+  const kind = RESOLVE_KIND[intentName];
+  if (kind && key && !(kind === "binSite" && looksLikeFirestoreId(key))) {
+    resolution = resolveEntity(kind, key, { includeArchived });
+    if (resolution.status === "resolved") {
+      key = resolution.match.id;
+    } else if (resolution.candidates.length && (resolution.status === "ambiguous" || kind !== "binSite")) {
+      // bin site misses stay free-text movement searches; everything else asks
+      const msg = didYouMeanText(resolution);
+      return {
+        data: null,
+        body: {
+          ok: true,
+          text: msg,
+          answer: msg,
+          didYouMean: { kind, key: resolution.key, candidates: resolution.candidates },
+          meta: {
+            route: "/chat",
+            intent: intentName,
+            key: resolution.key,
+            includeArchived: includeArchived,
+            resolution: resolutionMeta(resolution),
+            asOf: snap
+          }
+        }
+      };
+    }
+  }
 
-      case "EQUIPMENT_MAKES": {
-        const k = lower(key);
-        const category = EQUIPMENT_TYPES.has(k) ? k : "";
-        const q = (!category && key) ? key : "";
-        data = getEquipmentMakes({ includeArchived, category, q });
+  switch (intentName) {
+    case "FIELD_FULL":
+      data = getFieldFullByKey(key, { includeArchived });
+      prompt =
+        "Write a complete field summary for operations. Default is ACTIVE ONLY. If the field is archived, clearly label it ARCHIVED. Include farm + county/state + tillable acres + HEL/CRP + RTK tower/network/frequency if present.";
+      break;
+
+    case "GRAIN_BAGS_DOWN":
+      data = getGrainBagsDownSummary();
+      prompt =
+        "Summarize grain bags currently down. For each cropType show remaining full/partial counts and bushelsFull/bushelsPartial/bushelsTotal. " +
+        "If the user asked for a bag count, give the bag counts first.";
+      break;
+
+    case "GRAIN_BAGS_REPORT": {
+      const k = lower(key);
+      const crop =
+        (k.includes("corn") ? "corn" :
+         (k.includes("soy") || k.includes("bean")) ? "soybeans" :
+         k.includes("wheat") ? "wheat" :
+         "");
+      data = getGrainBagsReport({ crop: crop || "" });
+
+      if (isBagCountQuestion(promptIn)){
         prompt =
-          "List equipment makes. Default is ACTIVE ONLY. Show counts by category, then list each make with its categories. If includeArchived=true, show a separate ARCHIVED section.";
-        break;
-      }
-
-      case "EQUIPMENT_MODELS": {
-        const kl = lower(key);
-        const makeId = looksLikeFirestoreId(key) ? key : "";
-        const category = (!makeId && EQUIPMENT_TYPES.has(kl)) ? kl : "";
-        const q = (!makeId && !category && key) ? key : "";
-        data = getEquipmentModels({ includeArchived, makeId, category, q });
+          "The user is asking for HOW MANY BAGS, not a bushel-first report. " +
+          "Answer with BAG COUNT FIRST for the requested crop (or all crops if none specified). " +
+          "Inventory definition for BAG COUNTS: PUTDOWN-only from grain_bag_events (type='putDown') using counts.full + counts.partial. " +
+          "Then (optional) include supporting totals like bushelsFull/bushelsPartial/bushelsTotal and small rollups by county/farm if available. " +
+          "Keep it short and operational.";
+      } else {
         prompt =
-          "List equipment models. Default is ACTIVE ONLY. If makeId filter is present, list those models. Otherwise group models by makeId and name. If includeArchived=true, show a separate ARCHIVED section.";
-        break;
+          "Summarize grain bags with a strong focus on BUSHELS BY CROP (most important). " +
+          "Show totals by crop (bushelsFull/bushelsPartial/bushelsTotal, plus remaining full/partial counts if present). " +
+          "Then show rollups by county and by farm. " +
+          "Finally list notable putDowns (top remaining bushels) with field -> farm -> county and bag capacity proof. " +
+          "Keep it readable and operational.";
       }
+      break;
+    }
 
-      // ---------------------------
-      // Bin Sites
-      // ---------------------------
-      case "BIN_SITES": {
-        data = getBinSites({ includeArchived, q: key || "" });
-        prompt =
-          "Summarize grain bin sites. Default is ACTIVE ONLY. Show site count, total capacity, and total on-hand if available. Then list each site with bin count and per-bin quick lines. If includeArchived=true show separate ARCHIVED/USED section.";
-        break;
-      }
+    case "RTK_TOWER_COUNT":
+      data = getRtkTowerCount();
+      prompt = "Answer in one sentence with the total count of RTK towers.";
+      break;
+
+    case "RTK_TOWER_LIST":
+      data = getRtkTowerList({ includeArchived });
+      prompt =
+        "List all RTK towers. Default is ACTIVE ONLY (fieldCount based on active fields). For each include towerName, networkId, frequency, and fieldCount. Keep it readable.";
+      break;
+
+    case "RTK_TOWER_FIELDS":
+      data = getFieldsByRtkTowerKey(key, { includeArchived });
+      prompt =
+        "Show the RTK tower info (name, network, frequency). Default is ACTIVE ONLY. Then list the ACTIVE fields assigned to it. If includeArchived=true and there are archived fields, show a separate ARCHIVED section.";
+      break;
+
+    case "COUNTIES_FARMED":
+      data = getCountySummary({ includeArchived });
+      prompt =
+        "Default is ACTIVE ONLY. Answer how many counties we farm in (active). Then list each active county with fieldCount and tillableAcres. If includeArchived=true, add a separate ARCHIVED-ONLY section for counties that have zero active fields.";
+      break;
+
+    case "COUNTY_FIELDS":
+      data = getFieldsInCounty(key, { includeArchived });
+      prompt =
+        "Default is ACTIVE ONLY. Show the county name, then list ACTIVE fields in that county. For each field show fieldName, farmName, acresTillable, and HEL/CRP acres if any. If includeArchived=true and there are archived fields, show them in a separate ARCHIVED section.";
+      break;
+
+    case "COUNTY_FARMS":
+      data = getFarmsInCounty(key, { includeArchived });
+      prompt =
+        "Default is ACTIVE ONLY. Show the county name, then list farms that have ACTIVE fields in that county. For each farm show farmName, fieldCount, and tillableAcres. If includeArchived=true, include a separate ARCHIVED section.";
+      break;
+
+    case "COUNTY_STATS":
+      data = getCountyStatsByKey(key, { includeArchived });
+      prompt =
+        "Default is ACTIVE ONLY. Give county totals for ACTIVE fields: fieldCount, tillableAcres, HEL acres + helFieldCount, CRP acres + crpFieldCount. If includeArchived=true, also show a separate ARCHIVED totals section.";
+      break;
+
+    // ---------------------------
+    // HEL / CRP TOTALS (NEW)
+    // ---------------------------
+    case "HEL_TOTALS":
+      data = getHelCrpTotals({ includeArchived, mode: "hel" });
+      prompt =
+        "Answer clearly with HEL totals. Use the toggle-first rule: field counts come from hasHEL (not acres). " +
+        "Sum helAcres ONLY for fields where hasHEL is true. Default ACTIVE ONLY. " +
+        "Return: total HEL acres + count of fields with HEL. Also include optional by-county and by-farm rollups if present. " +
+        "If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+
+    case "CRP_TOTALS":
+      data = getHelCrpTotals({ includeArchived, mode: "crp" });
+      prompt =
+        "Answer clearly with CRP totals. Use the toggle-first rule: field counts come from hasCRP (not acres). " +
+        "Sum crpAcres ONLY for fields where hasCRP is true. Default ACTIVE ONLY. " +
+        "Return: total CRP acres + count of fields with CRP. Also include optional by-county and by-farm rollups if present. " +
+        "If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+
+    case "HEL_CRP_TOTALS":
+      data = getHelCrpTotals({ includeArchived, mode: "both" });
+      prompt =
+        "Answer clearly with BOTH HEL and CRP totals. Use toggle-first: field counts come from hasHEL/hasCRP (not acres). " +
+        "Sum helAcres only when hasHEL is true; sum crpAcres only when hasCRP is true. Default ACTIVE ONLY. " +
+        "Return: HEL acres + fieldsWithHEL, and CRP acres + fieldsWithCRP. " +
+        "Optionally include by-county and by-farm rollups if present. If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+
+    // ---------------------------
+    // Boundary Requests
+    // ---------------------------
+    case "BOUNDARY_REQUESTS": {
+      const k = lower(key) || "open";
+      const status =
+        (k.includes("all") ? "all" :
+         k.includes("complete") ? "completed" :
+         k.includes("open") ? "open" :
+         "open");
+
+      data = getBoundaryRequests({ includeArchived, status });
+      prompt =
+        "Summarize boundary fix requests. Default is ACTIVE ONLY (Open). Show counts, then group by farm -> field. For each request show boundaryType, scope, when/date, and short notes. If includeArchived=true or status is all/completed, show a separate COMPLETED/ARCHIVED section.";
+      break;
+    }
 
-      // ---------------------------
-      // Bin Movements
-      // ---------------------------
-      case "BIN_MOVEMENTS": {
-        const siteId = looksLikeFirestoreId(key) ? key : "";
-        const q = (!siteId && key) ? key : "";
-        data = getBinMovements({ includeArchived, siteId, q });
-        prompt =
-          "Summarize grain bin movements. Default is ACTIVE bin sites only. Show totals IN/OUT/NET, then group by site -> bin -> movements newest first. If includeArchived=true show a separate OTHER/ARCHIVED SITES section.";
-        break;
-      }
+    // ---------------------------
+    // Field Maintenance
+    // ---------------------------
+    case "FIELD_MAINTENANCE": {
+      const k = lower(key);
+      const status = k || null; // allow "needs approved", "pending", "all", or null
+      data = getFieldMaintenance({ includeArchived, status });
+      prompt =
+        "Summarize field maintenance. Default is ACTIVE ONLY. Show counts by status and topic, then group by farm -> field. For each item show topic, priority, status, photo count, submittedBy, and short notes. If includeArchived=true show separate ARCHIVED section.";
+      break;
+    }
+
+    // ---------------------------
+    // Equipment
+    // ---------------------------
+    case "EQUIPMENT": {
+      const k = lower(key);
+      const type = EQUIPMENT_TYPES.has(k) ? k : "";
+      const q = (!type && key) ? key : "";
+      data = getEquipment({ includeArchived, type, q });
+      prompt =
+        "List equipment. Default is ACTIVE ONLY. Show counts by type, then list each item as a one-line summary. If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+    }
+
+    case "EQUIPMENT_MAKES": {
+      const k = lower(key);
+      const category = EQUIPMENT_TYPES.has(k) ? k : "";
+      const q = (!category && key) ? key : "";
+      data = getEquipmentMakes({ includeArchived, category, q });
+      prompt =
+        "List equipment makes. Default is ACTIVE ONLY. Show counts by category, then list each make with its categories. If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+    }
+
+    case "EQUIPMENT_MODELS": {
+      const kl = lower(key);
+      const makeId = looksLikeFirestoreId(key) ? key : "";
+      const category = (!makeId && EQUIPMENT_TYPES.has(kl)) ? kl : "";
+      const q = (!makeId && !category && key) ? key : "";
+      data = getEquipmentModels({ includeArchived, makeId, category, q });
+      prompt =
+        "List equipment models. Default is ACTIVE ONLY. If makeId filter is present, list those models. Otherwise group models by makeId and name. If includeArchived=true, show a separate ARCHIVED section.";
+      break;
+    }
+
+    // ---------------------------
+    // Bin Sites
+    // ---------------------------
+    case "BIN_SITES": {
+      data = getBinSites({ includeArchived, q: key || "" });
+      prompt =
+        "Summarize grain bin sites. Default is ACTIVE ONLY. Show site count, total capacity, and total on-hand if available. Then list each site with bin count and per-bin quick lines. If includeArchived=true show separate ARCHIVED/USED section.";
+      break;
+    }
+
+    // ---------------------------
+    // Bin Movements
+    // ---------------------------
+    case "BIN_MOVEMENTS": {
+      const siteId = (resolution?.status === "resolved" || looksLikeFirestoreId(key)) ? key : "";
+      const q = (!siteId && key) ? key : "";
+      data = getBinMovements({ includeArchived, siteId, q });
+      prompt =
+        "Summarize grain bin movements. Default is ACTIVE bin sites only. Show totals IN/OUT/NET, then group by site -> bin -> movements newest first. If includeArchived=true show a separate OTHER/ARCHIVED SITES section.";
+      break;
+    }
+
+    // ---------------------------
+    // Snapshot diff
+    // ---------------------------
+    case "DIFF": {
+      data = await getSnapshotDiff({ from: asOf, to: "live", limit: 25 });
+      prompt =
+        "Summarize what changed between the two snapshots (from -> to; say both dates). Lead with highlights: " +
+        "fields archived/un-archived/added/removed, acre edits (tillable/HEL/CRP old -> new), new grain bag putDowns and pickUps, " +
+        "bin onHand changes (site/bin old -> new). Then one line of per-table counts. If nothing changed, say so plainly.";
+      break;
+    }
 
-      default: {
-        const msg = "I don't know how to answer that yet in v2.";
-        return res.json({
+    // ---------------------------
+    // Data quality
+    // ---------------------------
+    case "DATA_QUALITY": {
+      data = getDataIssues({ q: key, limit: 50 });
+      prompt =
+        "List data quality problems the office should fix in FarmVista. Start with total counts (errors vs warnings). " +
+        "Then one section per rule (message + count) listing record names with their ids (and the bad value when present). " +
+        "If there are none, say the data checks are clean.";
+      break;
+    }
+
+    // ---------------------------
+    // Search
+    // ---------------------------
+    case "SEARCH": {
+      data = getSearch({ q: key || promptIn, includeArchived, limit: 15 });
+      prompt =
+        "Show search results best match first, grouped by type (field, farm, RTK tower, equipment, maintenance, boundary). " +
+        "For each hit give the title, the subtitle, and the matched note snippet if present. Label ARCHIVED hits. " +
+        "Mention the total count per type. If there are no hits, say nothing matched and suggest a shorter search.";
+      break;
+    }
+
+    // ---------------------------
+    // Clarify (ask instead of guessing)
+    // ---------------------------
+    case "CLARIFY": {
+      const msg = normKey(intent?.clarify) || "Can you say a bit more about what you're looking for?";
+      return {
+        data: null,
+        body: {
           ok: true,
           text: msg,
           answer: msg,
           meta: {
-            usedOpenAI: true,
-            provider: "OpenAI",
-            model: "gpt-4.1-mini",
             route: "/chat",
-            intent: intent?.intent || "UNKNOWN"
+            intent: "CLARIFY",
+            key: key || "",
+            includeArchived: includeArchived,
+            clarify: { question: msg, guess: intent?.guess || "" },
+            asOf: snap
           }
-        });
-      }
+        }
+      };
+    }
+
+    default: {
+      const msg = "I don't know how to answer that yet in v2.";
+      return {
+        data: null,
+        body: {
+          ok: true,
+          text: msg,
+          answer: msg,
+          meta: {
+            route: "/chat",
+            intent: intent?.intent || "UNKNOWN",
+            key: key || "",
+            includeArchived: includeArchived
+          }
+        }
+      };
     }
+  }
+
+  if (snap) {
+    prompt +=
+      ` This answer is AS OF ${snap.requested}: the data comes from the snapshot built ${snap.builtAt || "(unknown time)"}.` +
+      " Say that date up front." + (snap.note ? ` Also mention: ${snap.note}.` : "");
+  }
+
+  const template = () => renderTemplate(intentName, data, { key, includeArchived, question: promptIn, asOf: snap });
+
+  let style = opts.style === "template" ? "template" : "llm";
+  let styleFallback = opts.styleFallback || null;
+  let outText;
+  if (stream) stream.data(data);
+
+  if (style === "llm") {
+    let sentTokens = false;
+    try {
+      outText = stream
+        ? await writeAnswerStream(prompt, data, (t) => { sentTokens = true; stream.token(t); })
+        : await writeAnswer(prompt, data);
+    } catch (err) {
+      // half-written answers can't be taken back; before any text, the template stands in
+      if (sentTokens) throw err;
+      console.error(err);
+      style = "template";
+      styleFallback = `answer model failed: ${err?.message || String(err)}`;
+    }
+  }
 
-    const outText = await writeAnswer(prompt, data);
+  // figures in LLM prose must be in the data (templates print the data itself)
+  let grounding = null;
+  if (style === "llm" && groundingMode() !== "off") {
+    grounding = groundAnswer(outText, data, { asOf: snap });
+    if (grounding.action === "rejected") {
+      style = "template";
+      styleFallback = `answer failed the grounding check (${grounding.unsupported.join(", ")})`;
+      outText = template();
+      if (stream) stream.replace(outText);
+    } else if (grounding.action === "flagged") {
+      const note = groundingNote(grounding);
+      outText += note;
+      if (stream) stream.token(note);
+    }
+  } else if (style === "template") {
+    outText = template();
+    if (stream) stream.token(outText);
+  }
 
-    res.json({
+  return {
+    data,
+    body: {
       ok: true,
       text: outText,
       answer: outText,
       meta: {
-        usedOpenAI: true,
-        provider: "OpenAI",
-        model: "gpt-4.1-mini",
         route: "/chat",
         intent: intentName,
         key: key || "",
-        includeArchived: includeArchived
+        includeArchived: includeArchived,
+        resolution: resolutionMeta(resolution),
+        asOf: snap,
+        style,
+        styleFallback,
+        grounding
       }
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: err?.message || String(err) });
-  }
-}
\ No newline at end of file
+    }
+  };
+}
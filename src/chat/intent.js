@@ -1,5 +1,35 @@
 // /src/chat/intent.js  (FULL FILE)
-// Rev: 2026-01-23-v6-intent-add-hel-crp-totals
+// Rev: 2026-10-19-v14-intent-llm
+//
+// Adds (v14):
+// - Calls go through ./llm.js (stage "classify"): provider + model from FV_LLM_* config
+//
+// Adds (v13):
+// - Compound questions: the reply is { parts: [...] } (max MAX_PARTS), one intent/key per thing asked, in order;
+//   each part has its own question text. The result keeps the first part at the top level + parts[].
+//
+// Adds (v12):
+// - Structured output (json_schema, strict) + local validation against INTENTS; one repair round-trip
+//   when the reply doesn't parse/validate, then UNKNOWN (never a 500 for bad JSON)
+// - confidence (0..1) + CLARIFY: a vague request, confidence < CLARIFY_CONFIDENCE, or a missing required key
+//   becomes { intent: "CLARIFY", clarify: "<one targeted question>", guess: "<best intent>" }
+// - result.validation = { attempts, repaired, errors }
+//
+// Adds (v11):
+// - detectIntent(text, { history }): the thread's previous turns (question, intent, key,
+//   includeArchived, asOf, answer/result preview) so follow-ups inherit or modify them
+//
+// Adds (v10):
+// - SEARCH: find/look up a name or words across fields, farms, towers, equipment, notes
+//
+// Adds (v9):
+// - DATA_QUALITY: records to fix (missing county, broken farm/tower/bag links, HEL/CRP acres missing)
+//
+// Adds (v8):
+// - DIFF: "what changed since <date>" (asOf = the since-date; default yesterday)
+//
+// Adds (v7):
+// - asOf: "YYYY-MM-DD" when the user asks about a past date ("on Dec 1", "last week"), else ""
 //
 // Adds:
 // - HEL_TOTALS (HEL acres + count of fields w/ HEL toggle)
@@ -13,24 +43,223 @@
 // includeArchived boolean flag (default false)
 // Active-only is the default system behavior across the bot.
 
-import OpenAI from 'openai';
+import { complete as llmComplete } from './llm.js';
+
+export const INTENTS = [
+  "FIELD_FULL",
+  "GRAIN_BAGS_DOWN", "GRAIN_BAGS_REPORT",
+  "RTK_TOWER_COUNT", "RTK_TOWER_LIST", "RTK_TOWER_FIELDS",
+  "COUNTIES_FARMED", "COUNTY_FIELDS", "COUNTY_FARMS", "COUNTY_STATS",
+  "HEL_TOTALS", "CRP_TOTALS", "HEL_CRP_TOTALS",
+  "BOUNDARY_REQUESTS", "FIELD_MAINTENANCE",
+  "EQUIPMENT", "EQUIPMENT_MAKES", "EQUIPMENT_MODELS",
+  "BIN_SITES", "BIN_MOVEMENTS",
+  "DIFF", "DATA_QUALITY", "SEARCH",
+  "CLARIFY", "UNKNOWN"
+];
+
+// below this the model's pick is not trusted -> ask instead of guessing
+export const CLARIFY_CONFIDENCE = 0.5;
+
+// intents that answer nothing without a key -> the targeted question to ask
+const KEY_REQUIRED = {
+  FIELD_FULL: "Which field do you mean? Give the field name or id.",
+  RTK_TOWER_FIELDS: "Which RTK tower? Give the tower name.",
+  COUNTY_FIELDS: "Which county should I list fields for?",
+  COUNTY_FARMS: "Which county should I list farms for?",
+  COUNTY_STATS: "Which county do you want totals for?"
+};
+
+// for "did you mean <label>?" when the model is unsure and gave no question
+const INTENT_LABEL = {
+  FIELD_FULL: "field details",
+  GRAIN_BAGS_DOWN: "a summary of grain bags down",
+  GRAIN_BAGS_REPORT: "the grain bag report (bags + bushels by crop)",
+  RTK_TOWER_COUNT: "the number of RTK towers",
+  RTK_TOWER_LIST: "the list of RTK towers",
+  RTK_TOWER_FIELDS: "the fields on an RTK tower",
+  COUNTIES_FARMED: "the counties we farm in",
+  COUNTY_FIELDS: "the fields in a county",
+  COUNTY_FARMS: "the farms in a county",
+  COUNTY_STATS: "county totals (tillable / HEL / CRP acres)",
+  HEL_TOTALS: "HEL acre totals",
+  CRP_TOTALS: "CRP acre totals",
+  HEL_CRP_TOTALS: "HEL and CRP acre totals",
+  BOUNDARY_REQUESTS: "boundary fix requests",
+  FIELD_MAINTENANCE: "field maintenance items",
+  EQUIPMENT: "the equipment list",
+  EQUIPMENT_MAKES: "equipment makes",
+  EQUIPMENT_MODELS: "equipment models",
+  BIN_SITES: "grain bin sites",
+  BIN_MOVEMENTS: "grain bin movements",
+  DIFF: "what changed recently",
+  DATA_QUALITY: "data problems to fix",
+  SEARCH: "a search of names and notes"
+};
+
+export const MAX_PARTS = 4;
+
+const PART_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["question", "intent", "key", "includeArchived", "asOf", "confidence", "clarify"],
+  properties: {
+    question: { type: "string" },
+    intent: { type: "string", enum: INTENTS },
+    key: { type: "string" },
+    includeArchived: { type: "boolean" },
+    asOf: { type: "string" },
+    confidence: { type: "number" },
+    clarify: { type: "string" }
+  }
+};
+
+const INTENT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["parts"],
+  properties: {
+    parts: { type: "array", items: PART_SCHEMA }
+  }
+};
+
+function fallbackIntent(validation) {
+  const part = { question: "", intent: "UNKNOWN", key: "", includeArchived: false, asOf: "", confidence: 0, clarify: "" };
+  return { ...part, parts: [part], validation };
+}
+
+function validatePart(obj, where) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { value: null, errors: [`${where}expected a JSON object`] };
+  }
+
+  const errors = [];
+  const intent = (obj.intent ?? "").toString().trim().toUpperCase();
+  if (!INTENTS.includes(intent)) errors.push(`${where}unknown intent "${obj.intent}"`);
+
+  let includeArchived = obj.includeArchived ?? false;
+  if (typeof includeArchived === "string" && ["true", "false"].includes(includeArchived.toLowerCase())) {
+    includeArchived = includeArchived.toLowerCase() === "true";
+  }
+  if (typeof includeArchived !== "boolean") errors.push(`${where}includeArchived must be true or false`);
+
+  const asOf = (obj.asOf ?? "").toString().trim();
+  if (asOf && !(/^\d{4}-\d{2}-\d{2}$/.test(asOf) && Number.isFinite(Date.parse(asOf)))) {
+    errors.push(`${where}asOf must be YYYY-MM-DD or "" (got "${asOf}")`);
+  }
+
+  const confidence = (obj.confidence == null) ? 1 : Number(obj.confidence);
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) errors.push(`${where}confidence must be a number 0..1`);
 
-const openai = new OpenAI();
+  const clarify = (obj.clarify ?? "").toString().trim();
+  if (intent === "CLARIFY" && !clarify) errors.push(`${where}CLARIFY needs a clarify question`);
 
-export async function detectIntent(userText) {
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      question: (obj.question ?? "").toString().trim(),
+      intent,
+      key: (obj.key ?? "").toString().trim(),
+      includeArchived,
+      asOf,
+      confidence,
+      clarify
+    },
+    errors: []
+  };
+}
+
+/**
+ * validateIntent(content) -> { value: { ...parts[0], parts[] }, errors[] }
+ * content: the model's reply (string) or an already-parsed object: { parts: [...] } or one bare part.
+ * Tolerates ```json fences; parts beyond MAX_PARTS are dropped.
+ */
+export function validateIntent(content) {
+  let obj = content;
+  if (typeof content === "string") {
+    const text = content.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    try {
+      obj = JSON.parse(text);
+    } catch (e) {
+      return { value: null, errors: [`not JSON: ${e?.message || e}`] };
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { value: null, errors: ["expected a JSON object"] };
+  }
+
+  const list = Array.isArray(obj.parts) ? obj.parts.slice(0, MAX_PARTS) : [obj];
+  if (!list.length) return { value: null, errors: ["parts is empty"] };
+
+  const checked = list.map((p, i) => validatePart(p, list.length > 1 ? `parts[${i}]: ` : ""));
+  const errors = checked.flatMap((c) => c.errors);
+  if (errors.length) return { value: null, errors };
+
+  const parts = checked.map((c) => c.value);
+  return { value: { ...parts[0], parts }, errors: [] };
+}
+
+// low confidence / missing required key -> CLARIFY (keeps the best guess for meta)
+function clarifyIfNeeded(v) {
+  if (v.intent === "CLARIFY") return { ...v, guess: "" };
+  if (KEY_REQUIRED[v.intent] && !v.key) {
+    return { ...v, intent: "CLARIFY", guess: v.intent, clarify: KEY_REQUIRED[v.intent] };
+  }
+  if (v.intent !== "UNKNOWN" && v.confidence < CLARIFY_CONFIDENCE) {
+    const label = INTENT_LABEL[v.intent] || v.intent;
+    const guessed = `Did you want ${label}${v.key ? ` for "${v.key}"` : ""}? If not, tell me which records you mean.`;
+    return { ...v, intent: "CLARIFY", guess: v.intent, clarify: v.clarify || guessed };
+  }
+  return v;
+}
+
+function historyMessage(history) {
+  const lines = history.map((t, i) => [
+    `TURN ${i + 1}:`,
+    `question: ${t.question}`,
+    `intent: ${t.intent || "UNKNOWN"} | key: ${JSON.stringify(t.key || "")} | includeArchived: ${t.includeArchived === true} | asOf: ${JSON.stringify(t.asOf || "")}`,
+    `answer: ${t.answer || ""}`,
+    t.result ? `result: ${t.result}` : ""
+  ].filter(Boolean).join("\n"));
+
+  return `CONVERSATION SO FAR (oldest first; the user's new message may be a follow-up):\n\n${lines.join("\n\n")}`;
+}
+
+// each part checked for CLARIFY; first part mirrored at the top level
+function withParts(value, validation) {
+  const parts = value.parts.map(clarifyIfNeeded);
+  return { ...parts[0], parts, validation };
+}
+
+/**
+ * detectIntent(userText, opts)
+ * opts:
+ *  - history: previous turns of the thread, oldest first (see ./conversations.js)
+ */
+export async function detectIntent(userText, { history = [] } = {}) {
   const question = (userText || '').toString();
+  const today = new Date().toISOString().slice(0, 10);
+  const turns = Array.isArray(history) ? history : [];
 
-  const res = await openai.chat.completions.create({
-    model: 'gpt-4.1-mini',
-    temperature: 0,
-    messages: [
-      {
-        role: 'system',
-        content: `
-Classify the user request into ONE intent and return JSON ONLY.
+  const messages = [
+    {
+      role: 'system',
+      content: `
+Classify each thing the user asks into an intent and return JSON ONLY.
 
 Return JSON ONLY:
-{ "intent": "<INTENT>", "key": "<string>", "includeArchived": <true|false> }
+{ "parts": [
+  { "question": "<the part of the request this answers>", "intent": "<INTENT>", "key": "<string>",
+    "includeArchived": <true|false>, "asOf": "<YYYY-MM-DD or empty>", "confidence": <0..1>, "clarify": "<question or empty>" }
+] }
+
+parts = ONE entry per separate thing asked, in the order asked (max ${MAX_PARTS}). Almost always ONE.
+  "How many RTK towers do we have and how many bags are down?" -> 2 parts (RTK_TOWER_COUNT, GRAIN_BAGS_REPORT).
+  "HEL and CRP acres" is ONE thing (HEL_CRP_TOTALS), not two.
+question = that part restated so it stands alone ("How many bags are down?").
+
+confidence = how sure you are of intent + key (1 = certain, below 0.5 = guessing).
+clarify = "" unless intent is CLARIFY.
 
 INTENTS:
 - FIELD_FULL: field details (id/name). key=field id/name.
@@ -60,13 +289,35 @@ NEW DOMAIN INTENTS:
 - BIN_SITES: grain bin sites list. key can be search text or "".
 - BIN_MOVEMENTS: grain bin movements list. key can be siteId OR site name/search text.
 
-- UNKNOWN: anything else. key="".
+CHANGE INTENTS:
+- DIFF: what changed / what's new / what was edited since a date (default since yesterday). key="".
+  asOf = the "since" date (e.g. "since yesterday" -> yesterday, "this week" -> last Monday).
+
+DATA QUALITY INTENT:
+- DATA_QUALITY: data problems / records to fix / missing or broken data. key = area if named
+  ("fields", "rtk", "county", "hel", "crp", "grain bags", "pickups"), else "".
+
+SEARCH INTENT:
+- SEARCH: find / search / look up / "where is" / "anything mentioning" a name or words, when no other
+  intent fits, or across several kinds of records (fields, farms, towers, equipment, maintenance or
+  boundary notes). key = the words to search for (drop "find", "search for", etc.).
+
+- CLARIFY: the request is about farm data but too vague to pick ONE intent or lacks the one thing needed
+  ("show me the field" - which field?). clarify = ONE short question naming the choices. key="".
+- UNKNOWN: anything else (not about farm data). key="".
 
 ARCHIVED RULE (GLOBAL):
 - includeArchived = true ONLY if the user explicitly asks for archived/inactive items
   (words like: "archived", "inactive", "old", "show archived", "include archived", "include inactive").
 - Otherwise includeArchived MUST be false.
 
+AS-OF RULE (GLOBAL):
+- Today is ${today}.
+- asOf = the date (YYYY-MM-DD) ONLY if the user asks about the state on a PAST date
+  (e.g. "on Dec 1", "as of last Friday", "a week ago", "at the end of harvest 2025" -> best date).
+- Resolve relative dates against today. A month/day without a year means the most recent past one.
+- Otherwise asOf MUST be "".
+
 INTENT RULES (keep simple):
 - If question asks "how many" AND mentions rtk + tower -> RTK_TOWER_COUNT.
 - If question asks to "list/show" towers -> RTK_TOWER_LIST.
@@ -91,6 +342,11 @@ GRAIN BAGS RULES:
   -> GRAIN_BAGS_REPORT.
 - Otherwise if question mentions "grain bags down" or "bags down" -> GRAIN_BAGS_DOWN.
 
+- If question asks what changed / what's new / what was updated since a time -> DIFF.
+- If question asks about data problems / errors / missing info / what needs fixing / data quality -> DATA_QUALITY.
+
+- If question says find/search/look up/"mentioning"/"notes about" and no specific intent above fits -> SEARCH.
+
 - If question mentions "boundary" and ("fix" or "request" or "requests") -> BOUNDARY_REQUESTS.
 - If question mentions "field maintenance" or "maintenance" with field/farm context -> FIELD_MAINTENANCE.
 - If question mentions "equipment makes" -> EQUIPMENT_MAKES.
@@ -99,6 +355,19 @@ GRAIN BAGS RULES:
 - If question mentions "bin sites" or "grain bins" or "bin locations" -> BIN_SITES.
 - If question mentions "bin movements" or "bin transfers" or "in/out of bins" -> BIN_MOVEMENTS.
 
+FOLLOW-UP RULES (only when CONVERSATION SO FAR is given):
+- A message that only makes sense with the previous turn is a follow-up: keep the previous intent,
+  key, includeArchived and asOf, and change ONLY what the user changes.
+- "show archived too" / "include inactive" -> same intent + key, includeArchived=true.
+- "only active" / "hide archived" -> same intent + key, includeArchived=false.
+- "what about Adams county?" -> same intent, key="Adams".
+- "what about corn?" after GRAIN_BAGS_REPORT -> GRAIN_BAGS_REPORT, key="corn".
+- "how many of those are HEL?" after COUNTY_FIELDS (key=Pike) -> COUNTY_STATS, key="Pike".
+- "and last week?" -> same intent + key, asOf = that date.
+- If the previous turn answered "did you mean" and the user picks one, use that intent with the picked name/id.
+- If the previous turn was CLARIFY, the new message answers its question: combine it with the question before.
+- A complete new question stands on its own: classify it normally (includeArchived back to false unless asked).
+
 KEY EXTRACTION:
 - If user says "Pike County" or "pice county", key should be the word before "county" (e.g. "Pike" or "pice").
 - For BOUNDARY_REQUESTS: if user says open/completed/all, key should be that word.
@@ -108,11 +377,39 @@ KEY EXTRACTION:
 
 IMPORTANT:
 - Do NOT choose FIELD_FULL for generic phrases like "rtk towers".
-        `.trim()
-      },
-      { role: 'user', content: question }
-    ]
-  });
+      `.trim()
+    },
+    ...(turns.length ? [{ role: 'system', content: historyMessage(turns) }] : []),
+    { role: 'user', content: question }
+  ];
+
+  const complete = async (msgs) => {
+    const res = await llmComplete({
+      stage: 'classify',
+      temperature: 0,
+      jsonSchema: { name: 'intent', schema: INTENT_SCHEMA },
+      messages: msgs
+    });
+    return res.text;
+  };
+
+  const first = await complete(messages);
+  let checked = validateIntent(first);
+  if (!checked.errors.length) {
+    return withParts(checked.value, { attempts: 1, repaired: false, errors: [] });
+  }
+
+  // one repair round-trip: show the model its reply + what was wrong
+  const firstErrors = checked.errors;
+  const second = await complete([
+    ...messages,
+    { role: 'assistant', content: first },
+    { role: 'user', content: `That reply was invalid: ${firstErrors.join('; ')}. Return the corrected JSON only.` }
+  ]);
+  checked = validateIntent(second);
+  if (!checked.errors.length) {
+    return withParts(checked.value, { attempts: 2, repaired: true, errors: firstErrors });
+  }
 
-  return JSON.parse(res.choices[0].message.content);
+  return fallbackIntent({ attempts: 2, repaired: false, errors: [...firstErrors, ...checked.errors] });
 }
\ No newline at end of file
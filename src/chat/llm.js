@@ -0,0 +1,212 @@
+// /src/chat/llm.js  (FULL FILE)
+// Rev: 2026-10-19-v2-llm-available
+//
+// One LLM interface for both chat stages:
+// - "classify" (intent.js detectIntent)
+// - "write"    (answerWriter.js writeAnswer / writeAnswerStream)
+//
+// Providers:
+// - openai : OpenAI API (OPENAI_API_KEY), default model gpt-4.1-mini
+// - local  : any OpenAI-compatible server (Ollama, llama.cpp server) at FV_LLM_LOCAL_URL
+//            (default http://127.0.0.1:11434/v1), default model FV_LLM_LOCAL_MODEL (default llama3.1).
+//            JSON schema output is requested as plain JSON mode (intent.js validates + repairs anyway).
+// - mock   : deterministic, no network. classify = the rule router's pick (else UNKNOWN);
+//            write = the instructions + a compact copy of the data. For tests / offline demos.
+//
+// Config (per stage overrides the global):
+//   FV_LLM_PROVIDER=openai|local|mock            FV_LLM_CLASSIFY_PROVIDER / FV_LLM_WRITE_PROVIDER
+//   FV_LLM_CLASSIFY_MODEL / FV_LLM_WRITE_MODEL   (default = the provider's default model)
+//
+// Every call is recorded for the request (withLlmUsage) so /chat meta reports what actually ran.
+// Adds (v2): llmAvailable(stage) so /chat can fall back to rules + templates without an API key.
+
+import OpenAI from "openai";
+import { AsyncLocalStorage } from "async_hooks";
+import { routeIntent } from "./router.js";
+
+export const LLM_STAGES = ["classify", "write"];
+
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    defaultModel: () => "gpt-4.1-mini",
+    jsonSchema: true,
+    makeClient: () => new OpenAI()
+  },
+  local: {
+    label: "local",
+    defaultModel: () => (process.env.FV_LLM_LOCAL_MODEL || "llama3.1").trim(),
+    jsonSchema: false,
+    makeClient: () => new OpenAI({
+      baseURL: (process.env.FV_LLM_LOCAL_URL || "http://127.0.0.1:11434/v1").trim(),
+      apiKey: (process.env.FV_LLM_LOCAL_API_KEY || "local").trim()
+    })
+  },
+  mock: {
+    label: "mock",
+    defaultModel: () => "mock",
+    jsonSchema: true,
+    makeClient: () => null
+  }
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+const clients = new Map(); // provider id -> client (created on first use: no API key needed until then)
+const usage = new AsyncLocalStorage();
+
+function envFor(stage, what) {
+  return (process.env[`FV_LLM_${stage.toUpperCase()}_${what}`] || "").trim();
+}
+
+/**
+ * stageConfig(stage) -> { provider, label, model }
+ */
+export function stageConfig(stage) {
+  if (!LLM_STAGES.includes(stage)) throw new Error(`Unknown LLM stage: ${stage}`);
+
+  const provider = (envFor(stage, "PROVIDER") || process.env.FV_LLM_PROVIDER || "openai").trim().toLowerCase();
+  const p = PROVIDERS[provider];
+  if (!p) throw new Error(`Unknown LLM provider "${provider}" for ${stage} (want ${LLM_PROVIDERS.join(", ")})`);
+
+  return { provider, label: p.label, model: envFor(stage, "MODEL") || p.defaultModel() };
+}
+
+/**
+ * llmAvailable(stage) -> false when the stage's provider can't run (openai without OPENAI_API_KEY).
+ * handleChat answers with the rule router / templates instead of failing.
+ */
+export function llmAvailable(stage) {
+  const { provider } = stageConfig(stage);
+  return provider !== "openai" || !!(process.env.OPENAI_API_KEY || "").trim();
+}
+
+function clientFor(provider) {
+  if (!clients.has(provider)) clients.set(provider, PROVIDERS[provider].makeClient());
+  return clients.get(provider);
+}
+
+// -> the recorded call (model is updated to what the server reports it ran)
+function record(stage, cfg) {
+  const call = { stage, provider: cfg.provider, label: cfg.label, model: cfg.model };
+  usage.getStore()?.push(call);
+  return call;
+}
+
+/* ----------------------------- mock ----------------------------- */
+
+function lastUser(messages) {
+  return ([...messages].reverse().find((m) => m.role === "user")?.content || "").toString();
+}
+
+function mockClassify(messages) {
+  const r = routeIntent(lastUser(messages));
+  const part = (p) => ({
+    question: p.question || "",
+    intent: p.intent,
+    key: p.key || "",
+    includeArchived: p.includeArchived === true,
+    asOf: "",
+    confidence: p.confidence,
+    clarify: ""
+  });
+  const parts = !r
+    ? [{ question: "", intent: "UNKNOWN", key: "", includeArchived: false, asOf: "", confidence: 1, clarify: "" }]
+    : (r.parts || [r]).map(part);
+  return JSON.stringify({ parts });
+}
+
+function mockWrite(messages) {
+  const [instructions, data = ""] = lastUser(messages).split("\n\nDATA:\n");
+  const compact = (() => {
+    try { return JSON.stringify(JSON.parse(data)); } catch { return data; }
+  })();
+  const first = instructions.split(". ")[0].trim().replace(/\.$/, "");
+  return `[mock answer] ${first}.\n\nDATA: ${compact.slice(0, 2000)}`;
+}
+
+function mockText(stage, messages) {
+  return stage === "classify" ? mockClassify(messages) : mockWrite(messages);
+}
+
+/* ----------------------------- calls ----------------------------- */
+
+/**
+ * complete({ stage, messages, temperature, jsonSchema }) -> { text, provider, model }
+ * jsonSchema: { name, schema } -> structured output (openai) / JSON mode (local)
+ */
+export async function complete({ stage, messages, temperature, jsonSchema } = {}) {
+  const cfg = stageConfig(stage);
+  const call = record(stage, cfg);
+
+  if (cfg.provider === "mock") {
+    return { text: mockText(stage, messages), provider: cfg.provider, model: cfg.model };
+  }
+
+  const params = { model: cfg.model, messages };
+  if (temperature != null) params.temperature = temperature;
+  if (jsonSchema) {
+    params.response_format = PROVIDERS[cfg.provider].jsonSchema
+      ? { type: "json_schema", json_schema: { name: jsonSchema.name, strict: true, schema: jsonSchema.schema } }
+      : { type: "json_object" };
+  }
+
+  const res = await clientFor(cfg.provider).chat.completions.create(params);
+  call.model = res.model || cfg.model;
+  return { text: res.choices?.[0]?.message?.content || "", provider: cfg.provider, model: call.model };
+}
+
+/**
+ * stream({ stage, messages, temperature }, onToken) -> { text, provider, model }
+ * onToken(text) per delta as it arrives.
+ */
+export async function stream({ stage, messages, temperature } = {}, onToken = () => {}) {
+  const cfg = stageConfig(stage);
+  const call = record(stage, cfg);
+
+  if (cfg.provider === "mock") {
+    const text = mockText(stage, messages);
+    for (const t of text.match(/\S+\s*|\s+/g) || []) onToken(t);
+    return { text, provider: cfg.provider, model: cfg.model };
+  }
+
+  const params = { model: cfg.model, messages, stream: true };
+  if (temperature != null) params.temperature = temperature;
+
+  const chunks = await clientFor(cfg.provider).chat.completions.create(params);
+  let text = "";
+  for await (const chunk of chunks) {
+    if (chunk.model) call.model = chunk.model;
+    const t = chunk.choices?.[0]?.delta?.content || "";
+    if (!t) continue;
+    text += t;
+    onToken(t);
+  }
+  return { text, provider: cfg.provider, model: call.model };
+}
+
+/**
+ * withLlmUsage(fn) -> fn(calls): every complete()/stream() inside fn (across awaits) is pushed to calls
+ * as { stage, provider, label, model }.
+ */
+export function withLlmUsage(fn) {
+  const calls = [];
+  return usage.run(calls, () => fn(calls));
+}
+
+/**
+ * llmMeta(calls) -> { usedOpenAI, provider, model, llm: { classify, write, calls } }
+ * provider/model = the writer's (else the classifier's); null when no model ran.
+ */
+export function llmMeta(calls = []) {
+  const last = (stage) => [...calls].reverse().find((c) => c.stage === stage) || null;
+  const brief = (c) => c ? { provider: c.provider, model: c.model } : null;
+  const main = last("write") || last("classify");
+
+  return {
+    usedOpenAI: calls.some((c) => c.provider === "openai"),
+    provider: main ? main.label : null,
+    model: main ? main.model : null,
+    llm: { classify: brief(last("classify")), write: brief(last("write")), calls: calls.length }
+  };
+}
@@ -0,0 +1,400 @@
+// /src/chat/router.js  (FULL FILE)
+// Rev: 2026-10-19-v2-router-compound
+//
+// Deterministic intent router that runs BEFORE the LLM classifier (intent.js).
+// The keyword rules from the detectIntent prompt, done in code:
+// - RULES are tried in order; the first that fires wins -> { intent, key, includeArchived, asOf, confidence, rule }
+// - confidence >= ROUTER_MIN_CONFIDENCE (FV_ROUTER_MIN_CONFIDENCE, default 0.8) answers without a model call
+// - lower confidence (vague match, or a past date the router can't turn into asOf) -> LLM decides
+// - FOLLOW_UP_RULES only run with thread history ("show archived too", "what about Adams county?")
+// - Compound questions ("how many RTK towers ... and how many bags are down?") are split into parts;
+//   when EVERY part routes confidently -> parts[] (one per piece, in order), else the whole text is routed
+//
+// Key extraction mirrors the prompt's KEY EXTRACTION section; keys are then typo-checked by resolveEntity().
+
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+export const ROUTER_MIN_CONFIDENCE = (() => {
+  const n = Number(process.env.FV_ROUTER_MIN_CONFIDENCE);
+  return (Number.isFinite(n) && n > 0 && n <= 1) ? n : DEFAULT_MIN_CONFIDENCE;
+})();
+
+// past dates need asOf (LLM resolves "on Dec 1" / "last Friday" against today)
+const TEMPORAL_RE = new RegExp(
+  "\\b(as of|ago|yesterday|last (week|month|year|spring|fall|harvest|monday|tuesday|wednesday|thursday|friday|saturday|sunday)|" +
+  "back in|at the end of|" +
+  "(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)\\.? \\d{1,2}|" +
+  "\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2})\\b"
+);
+
+const ARCHIVED_RE = /\b(archived|inactive|include archived|show archived|include inactive)\b/;
+
+const CROPS = ["corn", "soybeans", "beans", "soy", "wheat", "milo", "oats"];
+const EQUIPMENT_WORDS = {
+  tractor: "tractor", tractors: "tractor",
+  combine: "combine", combines: "combine",
+  implement: "implement", implements: "implement",
+  sprayer: "sprayer", sprayers: "sprayer",
+  truck: "truck", trucks: "truck",
+  trailer: "trailer", trailers: "trailer",
+  starfire: "starfire", starfires: "starfire"
+};
+const DATA_QUALITY_AREAS = ["fields", "rtk", "county", "hel", "crp", "grain bags", "pickups"];
+
+function norm(text) {
+  return (text ?? "").toString().toLowerCase().replace(/[’']/g, "'").replace(/\s+/g, " ").trim();
+}
+
+function has(t, re) {
+  return re.test(t);
+}
+
+// trailing punctuation / filler off an extracted key
+function cleanKey(s) {
+  return (s ?? "").toString()
+    .replace(/^(the|our|my)\s+/i, "")
+    .replace(/[?.!,;:]+$/g, "")
+    .replace(/\s+(please|pls|thanks)$/i, "")
+    .trim();
+}
+
+// "fields in Pike county" / "pice county stats" -> "pike" / "pice"
+function countyKey(t) {
+  const m =
+    t.match(/\b(?:in|for|of|from|about|on|at)\s+(?:the\s+)?([a-z][a-z.'-]*(?:\s+[a-z][a-z.'-]*)?)\s+(?:county|co\.?|cnty)\b/) ||
+    t.match(/\b([a-z][a-z.'-]*)\s+(?:county|co\.?|cnty)\b/);
+  const k = m ? cleanKey(m[1]) : "";
+  return ["which", "what", "each", "every", "per", "by", "a", "the", "one"].includes(k) ? "" : k;
+}
+
+function cropKey(t) {
+  const hit = CROPS.find((c) => new RegExp(`\\b${c}\\b`).test(t));
+  return hit || "";
+}
+
+const MENTIONS_BAGS = /\b(grain ?bags?|bags?)\b/;
+// a domain noun means "what new tractors ..." / "boundary requests to fix" is about that domain, not DIFF / DATA_QUALITY
+const DOMAIN_NOUN_RE = /\b(tractors?|combines?|implements?|sprayers?|trucks?|trailers?|equipment|makes|models|fields?|farms?|towers?|rtk|bags?|bins?|bin sites?|counties|county|boundar(y|ies)|maintenance)\b/;
+const MENTIONS_TOWER = /\b(rtk|towers?|base stations?)\b/;
+
+/* ----------------------------- rules (first match wins) ----------------------------- */
+// test(t) -> null | { key, confidence }
+
+const RULES = [
+  {
+    name: "diff",
+    intent: "DIFF",
+    test: (t) => {
+      const m = t.match(/\b(what('s| has| have)? changed|what('s| is) new|anything new|new since|what was (updated|edited|added|changed)|changes since|recent changes)\b/);
+      if (!m) return null;
+      // "since yesterday" / no date = the DIFF default; any other date -> LLM sets asOf
+      const otherDate = TEMPORAL_RE.test(t.replace(/\bsince yesterday\b/, "")) || /\bsince (?!yesterday)\w+/.test(t);
+      // "what's new with the tractors" may be a list question -> LLM confirms
+      const domain = DOMAIN_NOUN_RE.test(t.slice(m.index + m[0].length));
+      return { key: "", confidence: (otherDate || domain) ? 0.6 : 0.95 };
+    }
+  },
+  {
+    name: "boundary-requests",
+    intent: "BOUNDARY_REQUESTS",
+    test: (t) => {
+      if (!has(t, /\bboundar(y|ies)\b/) || !has(t, /\b(fix|fixes|requests?)\b/)) return null;
+      const key = has(t, /\ball\b/) ? "all" : has(t, /\bcomplete(d)?\b/) ? "completed" : "open";
+      return { key, confidence: 0.9 };
+    }
+  },
+  {
+    name: "data-quality",
+    intent: "DATA_QUALITY",
+    test: (t) => {
+      if (!has(t, /\b(data (quality|problems?|issues?|errors?)|(data|records?)( that)? needs? fix(ing|ed)?|what needs fix(ing|ed)?|missing (data|info|information)|broken (links?|data))\b/)) return null;
+      // "maintenance items that need fixing" is that domain, not the audit
+      if (has(t, /\b(boundar(y|ies)|maintenance|equipment|tractors?|combines?)\b/) && !has(t, /\bdata\b/)) return null;
+      return { key: DATA_QUALITY_AREAS.find((a) => t.includes(a)) || "", confidence: 0.9 };
+    }
+  },
+  {
+    name: "hel-crp-totals",
+    intent: "HEL_CRP_TOTALS",
+    test: (t) => (has(t, /\bhel\b/) && has(t, /\bcrp\b/) && has(t, /\b(acres|total|totals|how many|count)\b/) && !countyKey(t))
+      ? { key: "", confidence: 0.95 } : null
+  },
+  {
+    name: "hel-totals",
+    intent: "HEL_TOTALS",
+    test: (t) => (has(t, /\bhel\b/) && has(t, /\b(acres|total|totals|how many|count)\b/) && !countyKey(t))
+      ? { key: "", confidence: 0.95 } : null
+  },
+  {
+    name: "crp-totals",
+    intent: "CRP_TOTALS",
+    test: (t) => (has(t, /\bcrp\b/) && has(t, /\b(acres|total|totals|how many|count)\b/) && !countyKey(t))
+      ? { key: "", confidence: 0.95 } : null
+  },
+  {
+    name: "rtk-tower-count",
+    intent: "RTK_TOWER_COUNT",
+    test: (t) => (has(t, /\bhow many\b/) && has(t, /\brtk\b/) && has(t, /\btowers?\b/) && !has(t, /\bfields?\b/))
+      ? { key: "", confidence: 0.95 } : null
+  },
+  {
+    name: "rtk-tower-fields",
+    intent: "RTK_TOWER_FIELDS",
+    test: (t) => {
+      if (!has(t, /\bfields?\b/) || !has(t, MENTIONS_TOWER)) return null;
+      const m =
+        t.match(/\b(?:on|assigned to|using|use|for|under|to)\s+(?:the\s+)?(.+?)\s+(?:rtk\s+)?(?:tower|base station)\b/) ||
+        t.match(/\b(?:tower|base station)\s+(?!list|count)(.+)$/);
+      const key = m ? cleanKey(m[1].replace(/\brtk\b/g, "")) : "";
+      // "fields on each tower" is a per-tower list, not one tower
+      return (key && !/^(each|every|which|what|all|any|a|an)$/.test(key)) ? { key, confidence: 0.9 } : null;
+    }
+  },
+  {
+    name: "rtk-tower-list",
+    intent: "RTK_TOWER_LIST",
+    test: (t) => (has(t, /\b(rtk )?towers\b/) && has(t, /\b(list|show|what|which|all|our)\b/))
+      ? { key: "", confidence: 0.9 } : null
+  },
+  {
+    name: "counties-farmed",
+    intent: "COUNTIES_FARMED",
+    test: (t) => (has(t, /\b(how many|which|what|list( the)?|all( the)?) counties\b/))
+      ? { key: "", confidence: has(t, /\bfarm/) ? 0.95 : 0.85 } : null
+  },
+  {
+    name: "county-stats",
+    intent: "COUNTY_STATS",
+    test: (t) => {
+      const key = countyKey(t);
+      if (!key || !has(t, /\b(hel|crp|tillable|acres|totals?|stats|statistics|summary)\b/)) return null;
+      return { key, confidence: 0.9 };
+    }
+  },
+  {
+    name: "county-farms",
+    intent: "COUNTY_FARMS",
+    test: (t) => {
+      const key = countyKey(t);
+      return (key && has(t, /\bfarms\b/)) ? { key, confidence: 0.9 } : null;
+    }
+  },
+  {
+    name: "county-fields",
+    intent: "COUNTY_FIELDS",
+    test: (t) => {
+      const key = countyKey(t);
+      return (key && has(t, /\bfields\b/)) ? { key, confidence: 0.9 } : null;
+    }
+  },
+  {
+    // "tell me about Pike county" -> probably stats; let the LLM confirm
+    name: "county-other",
+    intent: "COUNTY_STATS",
+    test: (t) => {
+      const key = countyKey(t);
+      return key ? { key, confidence: 0.6 } : null;
+    }
+  },
+  {
+    name: "grain-bags-count",
+    intent: "GRAIN_BAGS_REPORT",
+    test: (t) => (has(t, MENTIONS_BAGS) && has(t, /\b(how many|count|number of)\b/))
+      ? { key: cropKey(t), confidence: 0.9 } : null
+  },
+  {
+    name: "grain-bags-report",
+    intent: "GRAIN_BAGS_REPORT",
+    test: (t) => (has(t, MENTIONS_BAGS) && has(t, /\b(bushels?|by crop|by county|by farm|report|inventory|capacity|remaining)\b/))
+      ? { key: cropKey(t), confidence: 0.9 } : null
+  },
+  {
+    name: "grain-bags-down",
+    intent: "GRAIN_BAGS_DOWN",
+    test: (t) => has(t, /\b(grain ?bags?|bags) (are |is )?down\b/) ? { key: "", confidence: 0.9 } : null
+  },
+  {
+    name: "field-maintenance",
+    intent: "FIELD_MAINTENANCE",
+    test: (t) => {
+      if (!has(t, /\bmaintenance\b/)) return null;
+      const m = t.match(/\b(needs approv(ed|al)|pending|in progress|approved|completed?|all)\b/);
+      const key = m ? (m[1].startsWith("needs approv") ? "needs approved" : m[1]) : "";
+      return { key, confidence: has(t, /\b(field|fields|farm|farms)\b/) ? 0.9 : 0.75 };
+    }
+  },
+  {
+    // before the equipment-word scan: "show field Truck Patch" is a field, not trucks
+    name: "field-full",
+    intent: "FIELD_FULL",
+    test: (t) => {
+      const m =
+        t.match(/^(?:show|tell me about|details (?:for|on)|info (?:for|on)|lookup|look up)?\s*(?:the\s+)?field\s+(.+)$/) ||
+        t.match(/^(?:show|tell me about|details (?:for|on)|info (?:for|on))\s+(.+?)\s+field(?: details| info)?$/);
+      const key = m ? cleanKey(m[1].replace(/^(details|info)\s+(for|on)\s+/, "")) : "";
+      return (key && !has(key, /\b(fields|towers?|county|bags?|maintenance)\b/)) ? { key, confidence: 0.85 } : null;
+    }
+  },
+  {
+    name: "equipment-makes",
+    intent: "EQUIPMENT_MAKES",
+    test: (t) => has(t, /\b(equipment )?(makes|brands|manufacturers)\b/) && has(t, /\b(equipment|makes|brands)\b/)
+      ? { key: equipmentKey(t), confidence: has(t, /\bequipment\b/) ? 0.95 : 0.7 } : null
+  },
+  {
+    name: "equipment-models",
+    intent: "EQUIPMENT_MODELS",
+    test: (t) => has(t, /\b(equipment )?models\b/)
+      ? { key: equipmentKey(t), confidence: has(t, /\bequipment\b/) ? 0.95 : 0.7 } : null
+  },
+  {
+    name: "equipment",
+    intent: "EQUIPMENT",
+    test: (t) => {
+      const key = equipmentKey(t);
+      if (key) return { key, confidence: 0.9 };
+      return has(t, /\bequipment\b/) ? { key: "", confidence: 0.85 } : null;
+    }
+  },
+  {
+    name: "bin-movements",
+    intent: "BIN_MOVEMENTS",
+    test: (t) => {
+      if (!has(t, /\b(bin (movements?|transfers?)|(in|out) (of|to) (the )?bins?|in\/out of bins)\b/)) return null;
+      const m = t.match(/\b(?:at|for|from|on|in)\s+(?:the\s+)?(?!bins?\b)(.+?)(?:\s+(?:bin )?site)?$/);
+      return { key: m ? cleanKey(m[1]) : "", confidence: 0.85 };
+    }
+  },
+  {
+    name: "bin-sites",
+    intent: "BIN_SITES",
+    test: (t) => has(t, /\b(bin sites?|grain bins|bin locations?)\b/) ? { key: "", confidence: 0.9 } : null
+  },
+  {
+    name: "search",
+    intent: "SEARCH",
+    test: (t) => {
+      const m =
+        t.match(/^(?:find|search(?: for)?|look up|lookup|where is|where's)\s+(.+)$/) ||
+        t.match(/\b(?:anything|notes?|something|records?) (?:mentioning|about|with)\s+(.+)$/);
+      const key = m ? cleanKey(m[1].replace(/^(anything|everything)\s+(mentioning|about|with)\s+/, "")) : "";
+      return key ? { key, confidence: 0.85 } : null;
+    }
+  }
+];
+
+function equipmentKey(t) {
+  const w = t.split(/[^a-z]+/).find((x) => EQUIPMENT_WORDS[x]);
+  return w ? EQUIPMENT_WORDS[w] : "";
+}
+
+/* ----------------------------- follow-ups (need history) ----------------------------- */
+// test(t, prev) -> null | { intent, key, includeArchived, confidence }
+
+const FOLLOW_UP_RULES = [
+  {
+    name: "follow-up-archived",
+    test: (t, prev) => {
+      if (!/^(and |ok |okay )?(show|include|with|add|now|also)?\s*(the )?(archived|inactive)( ones| fields| records| items)?( too| as well| also)?[?.!]*$/.test(t)) return null;
+      return { intent: prev.intent, key: prev.key, includeArchived: true, confidence: 0.9 };
+    }
+  },
+  {
+    name: "follow-up-active-only",
+    test: (t, prev) => {
+      if (!/^(and |ok |okay )?(only|just) (the )?active( ones)?[?.!]*$|^(hide|without|drop) (the )?(archived|inactive)( ones)?[?.!]*$/.test(t)) return null;
+      return { intent: prev.intent, key: prev.key, includeArchived: false, confidence: 0.9 };
+    }
+  },
+  {
+    name: "follow-up-county",
+    test: (t, prev) => {
+      if (!prev.intent.startsWith("COUNTY_") || prev.intent === "COUNTIES_FARMED") return null;
+      const m = t.match(/^(?:and |ok )?(?:what|how) about\s+(?:in\s+)?(.+?)(\s+(?:county|co\.?|cnty))?[?.!]*$/);
+      if (!m || cropKey(m[1])) return null;
+      // without the word "county" it may be a new question ("what about towers?") -> LLM confirms
+      return { intent: prev.intent, key: cleanKey(m[1]), includeArchived: prev.includeArchived, confidence: m[2] ? 0.9 : 0.7 };
+    }
+  },
+  {
+    name: "follow-up-crop",
+    test: (t, prev) => {
+      if (prev.intent !== "GRAIN_BAGS_REPORT") return null;
+      const m = t.match(/^(?:and |ok )?(?:what|how) about\s+(.+?)[?.!]*$/);
+      const crop = m ? cropKey(m[1]) : "";
+      return crop ? { intent: prev.intent, key: crop, includeArchived: prev.includeArchived, confidence: 0.9 } : null;
+    }
+  }
+];
+
+// "... and how many ...", "...? what ...", "...; list ..." -> pieces
+const SPLIT_RE = /\s*(?:[?;]+|\band also\b|\band (?=(?:how|what|which|where|who|list|show|give|tell|find)\b))\s*/i;
+const MAX_PARTS = 4;
+
+function routeText(t) {
+  const temporal = TEMPORAL_RE.test(t);
+  const includeArchived = ARCHIVED_RE.test(t);
+
+  for (const r of RULES) {
+    const hit = r.test(t);
+    if (!hit) continue;
+    // a past date the router can't resolve (DIFF handles its own) caps confidence so the LLM sets asOf
+    const confidence = (temporal && r.intent !== "DIFF") ? Math.min(hit.confidence, 0.5) : hit.confidence;
+    return { intent: r.intent, key: hit.key, includeArchived, asOf: "", confidence, rule: r.name };
+  }
+  return null;
+}
+
+function splitPieces(text) {
+  return (text ?? "").toString().trim()
+    .split(SPLIT_RE)
+    .map((p) => p.replace(/^(and|also|then)\s+/i, "").trim())
+    .filter((p) => p.split(/\s+/).length >= 2);
+}
+
+// pieces (original casing, >= 2) -> compound route, or null when any piece doesn't route confidently
+function routeCompound(pieces) {
+  if (pieces.length > MAX_PARTS) return null;
+
+  const parts = pieces.map((question) => ({ question, ...routeText(norm(question)) }));
+  if (parts.some((p) => !p.intent || p.confidence < ROUTER_MIN_CONFIDENCE)) return null;
+
+  return {
+    intent: parts[0].intent,
+    key: parts[0].key,
+    includeArchived: parts[0].includeArchived,
+    asOf: "",
+    confidence: Math.min(...parts.map((p) => p.confidence)),
+    rule: `compound(${parts.map((p) => p.rule).join("+")})`,
+    parts
+  };
+}
+
+/**
+ * routeIntent(userText, opts) -> { intent, key, includeArchived, asOf, confidence, rule, parts? } | null (no rule fired)
+ *   parts: [{ question, intent, key, includeArchived, asOf, confidence, rule }] for compound questions
+ * opts:
+ *  - history: previous turns of the thread, oldest first (see ./conversations.js)
+ * Callers use it when confidence >= ROUTER_MIN_CONFIDENCE, else ask the LLM.
+ */
+export function routeIntent(userText, { history = [] } = {}) {
+  const t = norm(userText);
+  if (!t) return null;
+
+  const prev = Array.isArray(history) && history.length ? history[history.length - 1] : null;
+  if (prev && prev.intent && !["UNKNOWN", "MULTI", "CLARIFY"].includes(prev.intent)) {
+    for (const r of FOLLOW_UP_RULES) {
+      const hit = r.test(t, { ...prev, intent: prev.intent.toUpperCase(), key: prev.key || "" });
+      if (hit) return { ...hit, asOf: prev.asOf || "", rule: r.name };
+    }
+  }
+
+  const pieces = splitPieces(userText);
+  if (pieces.length < 2) return routeText(t);
+
+  const compound = routeCompound(pieces);
+  if (compound) return compound;
+  // several questions but not all routable: a whole-text rule would drop some -> leave it to the LLM
+  const whole = routeText(t);
+  return whole ? { ...whole, confidence: Math.min(whole.confidence, 0.6) } : null;
+}
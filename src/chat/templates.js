@@ -0,0 +1,533 @@
+// /src/chat/templates.js  (FULL FILE)
+// Rev: 2026-10-19-v1-templates
+//
+// Deterministic answer writer: one markdown template per intent, straight from the getter output.
+// "No magic": every number printed is a value from the data (never re-rounded, only thousands separators).
+//
+// renderTemplate(intent, data, ctx) -> markdown | null (no template for that intent)
+//   ctx: { key, includeArchived, question, asOf (withDb snap or null) }
+//
+// Used for style "template" (POST /chat { style: "template" }) and as the fallback when the
+// answer-writing model is unavailable. Same ACTIVE-ONLY layout rules as the LLM prompts:
+// archived records only appear in a separate ARCHIVED section when includeArchived=true.
+
+function str(v) {
+  return (v == null) ? "" : String(v).trim();
+}
+
+// exact value, thousands separators only
+function num(v) {
+  if (v == null || v === "") return "—";
+  const n = Number(v);
+  if (!Number.isFinite(n)) return str(v);
+  return n.toLocaleString("en-US", { maximumFractionDigits: 10 });
+}
+
+function plural(n, one, many = `${one}s`) {
+  return `${num(n)} ${Number(n) === 1 ? one : many}`;
+}
+
+function yesNo(v) {
+  return (v === true || Number(v) === 1) ? "yes" : "no";
+}
+
+// markdown pipes inside cells would break the table
+function cell(v) {
+  return str(v).replace(/\|/g, "/").replace(/\n+/g, " ") || "—";
+}
+
+function table(headers, rows) {
+  if (!rows.length) return "";
+  return [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((r) => `| ${r.map(cell).join(" | ")} |`)
+  ].join("\n");
+}
+
+function bullets(lines) {
+  return lines.filter(Boolean).map((l) => `- ${l}`).join("\n");
+}
+
+function sections(...parts) {
+  return parts.filter((p) => str(p)).join("\n\n");
+}
+
+function archivedHeading(what = "") {
+  return `### ARCHIVED${what ? ` ${what}` : ""}`;
+}
+
+function asOfLine(snap) {
+  if (!snap) return "";
+  const built = snap.builtAt ? ` (snapshot built ${snap.builtAt})` : "";
+  return `_As of ${snap.requested}${built}.${snap.note ? ` ${snap.note}.` : ""}_`;
+}
+
+function isBagCountQuestion(s) {
+  const t = str(s).toLowerCase();
+  return /\b(how many|count|number of|total)\b/.test(t) && /\b(bag|bags|grain bag|grain bags|grainbag|grainbags)\b/.test(t);
+}
+
+/* ----------------------------- fields / towers / counties ----------------------------- */
+
+function fieldFull(d) {
+  const hel = yesNo(d.hasHEL) === "yes" ? `yes — ${num(d.helAcres)} acres` : "no";
+  const crp = yesNo(d.hasCRP) === "yes" ? `yes — ${num(d.crpAcres)} acres` : "no";
+  const radio = [d.rtkNetworkId ? `network ${d.rtkNetworkId}` : "", str(d.rtkFrequency)].filter(Boolean).join(", ");
+  const rtk = d.rtkTowerName ? `${d.rtkTowerName}${radio ? ` (${radio})` : ""}` : "none";
+  return sections(
+    `**${str(d.fieldName) || "(Unnamed field)"}** (field id ${d.fieldId})`,
+    bullets([
+      `Farm: ${str(d.farmName) || "—"}`,
+      `County: ${[str(d.county), str(d.state)].filter(Boolean).join(", ") || "—"}`,
+      `Tillable acres: ${num(d.acresTillable)}`,
+      `HEL: ${hel}`,
+      `CRP: ${crp}`,
+      `RTK tower: ${rtk}`
+    ])
+  );
+}
+
+function rtkTowerCount(d) {
+  return `We have **${num(d.count)}** RTK ${Number(d.count) === 1 ? "tower" : "towers"}.`;
+}
+
+function rtkTowerList(rows) {
+  if (!rows.length) return "No RTK towers found.";
+  return sections(
+    `**${plural(rows.length, "RTK tower")}** (field counts are active fields):`,
+    table(["Tower", "Network", "Frequency", "Fields"], rows.map((t) => [t.towerName, t.networkId, t.frequency, num(t.fieldCount)]))
+  );
+}
+
+function fieldRows(list) {
+  return list.map((f) => [f.fieldName, f.farmName, [str(f.county), str(f.state)].filter(Boolean).join(", "), num(f.acresTillable)]);
+}
+
+function rtkTowerFields(d, ctx) {
+  const t = d.tower || {};
+  const active = d.active || [];
+  const archived = d.archived || [];
+  return sections(
+    `**${str(t.towerName)}** — network ${str(t.networkId) || "—"}, frequency ${str(t.frequency) || "—"}`,
+    active.length
+      ? `${plural(active.length, "active field")}:\n\n${table(["Field", "Farm", "County", "Tillable acres"], fieldRows(active))}`
+      : "No active fields are assigned to this tower.",
+    (ctx.includeArchived && archived.length)
+      ? `${archivedHeading("fields")}\n\n${table(["Field", "Farm", "County", "Tillable acres"], fieldRows(archived))}`
+      : ""
+  );
+}
+
+function countiesFarmed(d, ctx) {
+  const active = d.active || [];
+  const archivedOnly = d.archivedOnly || [];
+  const rows = (list) => list.map((c) => [c.county, c.state, num(c.fieldCount), num(c.tillableAcres)]);
+  return sections(
+    `We farm in **${plural(active.length, "county", "counties")}** (active fields).`,
+    table(["County", "State", "Fields", "Tillable acres"], rows(active)),
+    (ctx.includeArchived && archivedOnly.length)
+      ? `${archivedHeading("ONLY (no active fields)")}\n\n${table(["County", "State", "Fields", "Tillable acres"], rows(archivedOnly))}`
+      : ""
+  );
+}
+
+function countyName(d) {
+  return `${str(d.county)} County${d.state ? `, ${d.state}` : ""}`;
+}
+
+function countyFields(d, ctx) {
+  const headers = ["Field", "Farm", "Tillable acres", "HEL acres", "CRP acres"];
+  const rows = (list) => list.map((f) => [
+    f.fieldName, f.farmName, num(f.acresTillable),
+    f.hasHEL ? num(f.helAcres) : "—",
+    f.hasCRP ? num(f.crpAcres) : "—"
+  ]);
+  const active = d.active || [];
+  const archived = d.archived || [];
+  return sections(
+    `**${countyName(d)}** — ${plural(active.length, "active field")}`,
+    table(headers, rows(active)),
+    (ctx.includeArchived && archived.length) ? `${archivedHeading("fields")}\n\n${table(headers, rows(archived))}` : ""
+  );
+}
+
+function countyFarms(d, ctx) {
+  const headers = ["Farm", "Fields", "Tillable acres"];
+  const rows = (list) => list.map((f) => [f.farmName, num(f.fieldCount), num(f.tillableAcres)]);
+  const active = d.active || [];
+  const archived = d.archived || [];
+  return sections(
+    `**${countyName(d)}** — ${plural(active.length, "farm")} with active fields`,
+    table(headers, rows(active)),
+    (ctx.includeArchived && archived.length) ? `${archivedHeading("farms")}\n\n${table(headers, rows(archived))}` : ""
+  );
+}
+
+function countyTotals(t) {
+  return bullets([
+    `Fields: ${num(t.fieldCount)}`,
+    `Tillable acres: ${num(t.tillableAcres)}`,
+    `HEL: ${num(t.helAcres)} acres on ${plural(t.helFieldCount, "field")}`,
+    `CRP: ${num(t.crpAcres)} acres on ${plural(t.crpFieldCount, "field")}`
+  ]);
+}
+
+function countyStats(d, ctx) {
+  const archived = d.archived || {};
+  return sections(
+    `**${countyName(d)}** — active fields:`,
+    countyTotals(d.active || {}),
+    (ctx.includeArchived && Number(archived.fieldCount) > 0) ? `${archivedHeading()}\n\n${countyTotals(archived)}` : ""
+  );
+}
+
+/* ----------------------------- HEL / CRP ----------------------------- */
+
+function helCrpTotals(d, ctx) {
+  const mode = d.filter?.mode || "both";
+  const hel = mode !== "crp";
+  const crp = mode !== "hel";
+  const lines = (counts = {}, totals = {}) => bullets([
+    hel ? `HEL: ${num(totals.helAcres)} acres on ${plural(counts.fieldsWithHEL, "field")} with HEL` : "",
+    crp ? `CRP: ${num(totals.crpAcres)} acres on ${plural(counts.fieldsWithCRP, "field")} with CRP` : ""
+  ]);
+
+  const headers = [...(hel ? ["HEL fields", "HEL acres"] : []), ...(crp ? ["CRP fields", "CRP acres"] : [])];
+  const values = (r) => [
+    ...(hel ? [num(r.fieldsWithHEL), num(r.helAcres)] : []),
+    ...(crp ? [num(r.fieldsWithCRP), num(r.crpAcres)] : [])
+  ];
+  const keep = (r) => (hel && (Number(r.fieldsWithHEL) || Number(r.helAcres))) || (crp && (Number(r.fieldsWithCRP) || Number(r.crpAcres)));
+  const byCounty = (d.byCounty || []).filter(keep);
+  const byFarm = (d.byFarm || []).filter(keep);
+
+  return sections(
+    "**Totals (active fields; counts use the HEL/CRP toggle, acres only where the toggle is on):**",
+    lines(d.counts, d.totals),
+    byCounty.length ? `**By county**\n\n${table(["County", ...headers], byCounty.map((r) => [r.county, ...values(r)]))}` : "",
+    byFarm.length ? `**By farm**\n\n${table(["Farm", "County", ...headers], byFarm.map((r) => [r.farmName, r.county, ...values(r)]))}` : "",
+    (ctx.includeArchived && d.archived) ? `${archivedHeading()}\n\n${lines(d.archived.counts, d.archived.totals)}` : ""
+  );
+}
+
+/* ----------------------------- grain bags ----------------------------- */
+
+function grainBagsDown(rows) {
+  if (!rows.length) return "No grain bags are down.";
+  const total = (k) => rows.reduce((s, r) => s + (Number(r[k]) || 0), 0);
+  return sections(
+    `**Grain bags down** (${plural(total("remainingFull"), "full bag")}, ${plural(total("remainingPartial"), "partial bag")}):`,
+    table(
+      ["Crop", "Full bags", "Partial bags", "Bushels (full)", "Bushels (partial)", "Bushels total"],
+      rows.map((r) => [r.cropType, num(r.remainingFull), num(r.remainingPartial), num(r.bushelsFull), num(r.bushelsPartial), num(r.bushelsTotal)])
+    )
+  );
+}
+
+function cropList(crops = []) {
+  return crops.map((c) => `${c.crop} ${num(c.bushelsTotal)}`).join(", ");
+}
+
+function grainBagsReport(d, ctx) {
+  const t = d.totals || {};
+  const byCrop = t.byCrop || [];
+  const cropNote = str(ctx.key) ? ` (crop filter: ${str(ctx.key)})` : "";
+  const bags = `**Bags down:** ${plural(t.bagsOutFull, "full bag")}, ${plural(t.bagsOutPartial, "partial bag")} ` +
+    `across ${plural(d.counts?.outPutDowns, "put-down")}${cropNote}.`;
+  const bushels = `**Bushels in bags:** ${num(t.bushelsTotal)}`;
+
+  if (!byCrop.length) return `No grain bags are down${cropNote}.`;
+
+  const cropTable = table(
+    ["Crop", "Full bags", "Partial bags", "Bushels (full)", "Bushels (partial)", "Bushels total"],
+    byCrop.map((c) => [c.crop, num(c.remainingFull), num(c.remainingPartial), num(c.bushelsFull), num(c.bushelsPartial), num(c.bushelsTotal)])
+  );
+  const top = (d.putDowns || []).slice(0, 10);
+
+  return sections(
+    ...(isBagCountQuestion(ctx.question) ? [bags, bushels] : [bushels, bags]),
+    `**By crop**\n\n${cropTable}`,
+    (d.byCounty || []).length
+      ? `**By county**\n\n${table(["County", "Bushels", "Crops"], d.byCounty.map((c) => [c.county, num(c.bushelsTotal), cropList(c.crops)]))}`
+      : "",
+    (d.byFarm || []).length
+      ? `**By farm**\n\n${table(["Farm", "County", "Bushels", "Crops"], d.byFarm.map((f) => [f.farmName, f.county, num(f.bushelsTotal), cropList(f.crops)]))}`
+      : "",
+    top.length
+      ? `**Put-downs (most bushels first)**\n\n${table(
+        ["Field", "Farm", "County", "Crop", "Full", "Partial", "Bushels", "Bag capacity"],
+        top.map((p) => [
+          p.fieldName, p.farmName, p.county, p.crop, num(p.remainingFull), num(p.remainingPartial), num(p.bushelsTotal),
+          p.capacityBu == null ? "unknown" : `${num(p.capacityBu)} bu${p.capacitySource ? ` — ${str(p.capacitySource)}` : ""}`
+        ])
+      )}`
+      : ""
+  );
+}
+
+/* ----------------------------- requests / maintenance ----------------------------- */
+
+function farmFieldGroups(farms = [], itemsKey, line) {
+  return farms.map((f) => [
+    `**${str(f.farm ?? f.farmName) || "(No farm)"}** (${num(f.count)})`,
+    ...(f.fields || []).flatMap((fl) => [
+      `- ${str(fl.field ?? fl.fieldName) || "(No field)"}`,
+      ...(fl[itemsKey] || []).map((it) => `  - ${line(it)}`)
+    ])
+  ].join("\n")).join("\n\n");
+}
+
+function boundaryRequests(d) {
+  const c = d.counts || {};
+  const line = (r) => `${str(r.headline)}${r.notes ? ` — ${str(r.notes)}` : ""}`;
+  const status = d.filter?.status || "open";
+  return sections(
+    `**${plural(c.requests, "boundary request")}** (${status === "all" ? "open" : status}) on ${plural(c.fields, "field")} / ${plural(c.farms, "farm")}.`,
+    farmFieldGroups(d.farms, "requests", line),
+    d.archived
+      ? `${archivedHeading("/ COMPLETED")} (${plural(d.archived.counts?.requests, "request")})\n\n${farmFieldGroups(d.archived.farms, "requests", line)}`
+      : ""
+  );
+}
+
+function countList(list = [], key) {
+  return list.map((x) => `${str(x[key])}: ${num(x.count)}`).join(", ");
+}
+
+function fieldMaintenance(d, ctx) {
+  const part = (x) => sections(
+    bullets([
+      (x.byStatus || []).length ? `By status: ${countList(x.byStatus, "status")}` : "",
+      (x.byTopic || []).length ? `By topic: ${countList(x.byTopic, "topic")}` : ""
+    ]),
+    farmFieldGroups(x.farms, "items", (it) => str(it.headline))
+  );
+  return sections(
+    `**${plural(d.counts?.items, "field maintenance item")}**${d.filter?.status ? ` (status: ${d.filter.status})` : ""}.`,
+    part(d),
+    (ctx.includeArchived && d.archived)
+      ? `${archivedHeading()} (${plural(d.archived.counts?.items, "item")})\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+/* ----------------------------- equipment ----------------------------- */
+
+function equipment(d, ctx) {
+  const part = (x) => sections(
+    (x.byType || []).length ? `By type: ${countList(x.byType, "type")}` : "",
+    bullets((x.items || []).map((it) => str(it.headline)))
+  );
+  return sections(
+    `**${plural(d.counts?.items, "piece")} of equipment**${d.filter?.type ? ` (type: ${d.filter.type})` : ""}.`,
+    part(d),
+    (ctx.includeArchived && d.archived && Number(d.archived.counts?.items))
+      ? `${archivedHeading()} (${num(d.archived.counts.items)})\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+function equipmentMakes(d, ctx) {
+  const part = (x) => sections(
+    (x.byCategory || []).length ? `By category: ${countList(x.byCategory, "category")}` : "",
+    bullets((x.makes || []).map((m) => str(m.headline)))
+  );
+  return sections(
+    `**${plural(d.counts?.makes, "equipment make")}**.`,
+    part(d),
+    (ctx.includeArchived && d.archived && Number(d.archived.counts?.makes))
+      ? `${archivedHeading()} (${num(d.archived.counts.makes)})\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+function equipmentModels(d, ctx) {
+  const part = (x) => (x.makes || []).map((m) =>
+    `**${str(m.makeName) || str(m.makeId) || "(No make)"}** (${num(m.count)})\n${bullets((m.models || []).map((md) => str(md.headline)))}`
+  ).join("\n\n");
+  return sections(
+    `**${plural(d.counts?.models, "equipment model")}** from ${plural(d.counts?.makes, "make")}.`,
+    part(d),
+    (ctx.includeArchived && d.archived && Number(d.archived.counts?.models))
+      ? `${archivedHeading()} (${num(d.archived.counts.models)})\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+/* ----------------------------- bins ----------------------------- */
+
+function binSites(d, ctx) {
+  const part = (x) => (x.sites || []).map((s) =>
+    [`- **${str(s.name)}** — ${str(s.headline)}`, ...(s.bins || []).map((b) => `  - ${str(b)}`)].join("\n")
+  ).join("\n");
+  const t = d.totals || {};
+  return sections(
+    `**${plural(d.counts?.sites, "bin site")}** — capacity ${num(t.totalCapacityBushels)} bu, on hand ${num(t.totalOnHandBushels)} bu.`,
+    part(d),
+    (ctx.includeArchived && d.archived && Number(d.archived.counts?.sites))
+      ? `${archivedHeading("/ USED")} (${num(d.archived.counts.sites)})\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+function inOut(t = {}) {
+  return `in ${num(t.inBushels)} bu, out ${num(t.outBushels)} bu, net ${num(t.netBushels)} bu`;
+}
+
+function binMovements(d, ctx) {
+  const mov = (m) => [
+    str(m.dateISO).slice(0, 10) || "(no date)",
+    str(m.direction).toUpperCase(),
+    `${num(m.bushels)} bu`,
+    str(m.cropType),
+    m.cropMoisture ? `${num(m.cropMoisture)}%` : "",
+    m.note ? `"${str(m.note)}"` : "",
+    m.submittedBy ? `by ${str(m.submittedBy)}` : ""
+  ].filter(Boolean).join(" • ");
+
+  const part = (x) => (x.sites || []).map((s) => [
+    `**${str(s.siteName) || str(s.siteId)}** — ${inOut(s.totals)}`,
+    ...(s.bins || []).flatMap((b) => [
+      `- Bin ${str(b.binNum)} — ${inOut(b.totals)}`,
+      ...(b.movements || []).map((m) => `  - ${mov(m)}`)
+    ])
+  ].join("\n")).join("\n\n");
+
+  const empty = !(d.sites || []).length;
+  return sections(
+    empty ? "No bin movements found." : `**Bin movements** — ${inOut(d.totals)}.`,
+    part(d),
+    (ctx.includeArchived && d.archived && (d.archived.sites || []).length)
+      ? `${archivedHeading("/ OTHER SITES")} — ${inOut(d.archived.totals)}\n\n${part(d.archived)}`
+      : ""
+  );
+}
+
+/* ----------------------------- diff / quality / search ----------------------------- */
+
+const HIGHLIGHT_LABEL = {
+  fieldsArchived: "Fields archived",
+  fieldsUnarchived: "Fields un-archived",
+  fieldsAdded: "Fields added",
+  fieldsRemoved: "Fields removed",
+  fieldAcresEdited: "Field acre edits",
+  grainBagPutDowns: "Grain bag put-downs",
+  grainBagPickups: "Grain bag pickups",
+  binOnHandChanged: "Bin on-hand changes"
+};
+
+function highlightItem(name, it) {
+  switch (name) {
+    case "fieldAcresEdited":
+      return `${str(it.fieldName)}: ${Object.entries(it.changes || {}).map(([c, v]) => `${c} ${num(v.from)} → ${num(v.to)}`).join(", ")}`;
+    case "grainBagPutDowns":
+      return `${str(it.fieldName) || "(no field)"} • ${str(it.cropType)} • ${num(it.countFull)} full, ${num(it.countPartial)} partial${it.datePlaced ? ` • ${str(it.datePlaced)}` : ""}`;
+    case "grainBagPickups":
+      return `${str(it.fieldName) || "(no field)"} • ${str(it.cropType)}`;
+    case "binOnHandChanged":
+      return `${str(it.siteName)} bin ${str(it.binNum)}: ${num(it.from)} → ${num(it.to)} bu (${Number(it.delta) > 0 ? "+" : ""}${num(it.delta)})`;
+    default:
+      return `${str(it.fieldName)}${it.farmName ? ` (${str(it.farmName)})` : ""}`;
+  }
+}
+
+function snapshotDiff(d) {
+  const from = d.from || {};
+  const to = d.to || {};
+  const head = `**Changes** from ${str(from.requested)} (snapshot ${str(from.builtAt) || "?"}) to ${str(to.requested)} (snapshot ${str(to.builtAt) || "?"}).`;
+  if (d.sameSnapshot) return sections(head, str(d.note) || "Both dates resolve to the same snapshot; no changes can be shown.");
+
+  const t = d.totals || {};
+  if (!Number(t.added) && !Number(t.removed) && !Number(t.changed)) return sections(head, "Nothing changed.");
+
+  const highlights = Object.entries(d.highlights || {})
+    .filter(([, h]) => Number(h.count) > 0)
+    .map(([name, h]) => {
+      const more = Number(h.count) > (h.items || []).length ? `\n  - … ${num(Number(h.count) - h.items.length)} more` : "";
+      return `- ${HIGHLIGHT_LABEL[name] || name}: ${num(h.count)}\n${(h.items || []).map((it) => `  - ${highlightItem(name, it)}`).join("\n")}${more}`;
+    });
+
+  const counts = Object.entries(d.counts || {})
+    .filter(([, c]) => Number(c.added) || Number(c.removed) || Number(c.changed))
+    .map(([name, c]) => [name, num(c.added), num(c.removed), num(c.changed)]);
+
+  return sections(
+    head,
+    `Totals: ${num(t.added)} added, ${num(t.removed)} removed, ${num(t.changed)} changed.`,
+    highlights.length ? `**Highlights**\n${highlights.join("\n")}` : "",
+    counts.length ? `**By table**\n\n${table(["Table", "Added", "Removed", "Changed"], counts)}` : "",
+    str(d.note)
+  );
+}
+
+function dataIssues(d) {
+  const c = d.counts || {};
+  if (!Number(c.total)) return sections("The data checks are clean: no issues found.", str(d.note));
+  const sev = c.bySeverity || {};
+  return sections(
+    `**${plural(c.total, "data issue")}** to fix (${plural(sev.error || 0, "error")}, ${plural(sev.warning || 0, "warning")}).`,
+    (d.rules || []).map((r) => [
+      `**${str(r.message)}** (${str(r.severity)}, ${num(r.count)})`,
+      bullets((r.issues || []).map((i) =>
+        `${str(i.recordName) || "(unnamed)"} — id ${str(i.recordId)}${i.value != null && i.value !== "" ? ` (value: ${str(i.value)})` : ""}`
+      ))
+    ].join("\n")).join("\n\n"),
+    str(d.note)
+  );
+}
+
+function search(d) {
+  const c = d.counts || {};
+  if (!(d.hits || []).length) return str(d.note) || `No matches for "${str(d.filter?.q)}".`;
+  const byType = Object.entries(c.byType || {}).map(([t, n]) => `${t}: ${num(n)}`).join(", ");
+  return sections(
+    `**${plural(c.total, "match", "matches")}** for "${str(d.filter?.q)}"${byType ? ` (${byType})` : ""}` +
+      `${d.matchMode === "any" ? " — no record matched every word; showing records matching any word" : ""}.`,
+    bullets(d.hits.map((h) =>
+      `**${str(h.title)}** (${h.type}${h.archived ? ", ARCHIVED" : ""}) — ${str(h.subtitle) || "—"} — id ${h.id}` +
+      (h.snippet ? `\n  > ${str(h.snippet)}` : "")
+    ))
+  );
+}
+
+/* ----------------------------- registry ----------------------------- */
+
+const TEMPLATES = {
+  FIELD_FULL: fieldFull,
+  GRAIN_BAGS_DOWN: grainBagsDown,
+  GRAIN_BAGS_REPORT: grainBagsReport,
+  RTK_TOWER_COUNT: rtkTowerCount,
+  RTK_TOWER_LIST: rtkTowerList,
+  RTK_TOWER_FIELDS: rtkTowerFields,
+  COUNTIES_FARMED: countiesFarmed,
+  COUNTY_FIELDS: countyFields,
+  COUNTY_FARMS: countyFarms,
+  COUNTY_STATS: countyStats,
+  HEL_TOTALS: helCrpTotals,
+  CRP_TOTALS: helCrpTotals,
+  HEL_CRP_TOTALS: helCrpTotals,
+  BOUNDARY_REQUESTS: boundaryRequests,
+  FIELD_MAINTENANCE: fieldMaintenance,
+  EQUIPMENT: equipment,
+  EQUIPMENT_MAKES: equipmentMakes,
+  EQUIPMENT_MODELS: equipmentModels,
+  BIN_SITES: binSites,
+  BIN_MOVEMENTS: binMovements,
+  DIFF: snapshotDiff,
+  DATA_QUALITY: dataIssues,
+  SEARCH: search
+};
+
+export const TEMPLATE_INTENTS = Object.keys(TEMPLATES);
+
+/**
+ * renderTemplate(intent, data, ctx) -> markdown | null
+ * ctx: { key, includeArchived, question, asOf }
+ */
+export function renderTemplate(intent, data, ctx = {}) {
+  const fn = TEMPLATES[str(intent).toUpperCase()];
+  if (!fn) return null;
+  const body = fn(data ?? {}, { includeArchived: ctx.includeArchived === true, key: ctx.key, question: ctx.question });
+  return sections(asOfLine(ctx.asOf), body);
+}
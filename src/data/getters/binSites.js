@@ -1,6 +1,6 @@
 // ======================================================================
 // /src/data/getters/binSites.js  (FULL FILE - ESM)
-// Rev: 2026-01-22-v1-ESM
+// Rev: 2026-10-19-v2-bin-site-totals-view
 //
 // ACTIVE-ONLY DEFAULT (per Dane):
 // - Default returns ONLY active bin sites (status="active") AND used=false (if column exists)
@@ -9,6 +9,10 @@
 // Firefoo notes:
 // - binSites docs: { name, status, used, totalBushels, bins: [{num,bushels,onHand,lastCropType,lastCropMoisture,...}], createdAt, updatedAt }
 //
+// Snapshot:
+// - site rows + bin count / onHand totals come from the view v_bin_site_totals (/context/snapshot-views.js)
+// - per-bin lines come from binSiteBins (bins exploded at build time)
+//
 // Output goals:
 // - list + count
 // - totals (site count, total capacity, total onHand if available)
@@ -36,43 +40,28 @@ function safeNum(v){
   return Number.isFinite(n) ? n : null;
 }
 
-function hasTable(database, name){
-  try{
-    const row = database.prepare(
-      `SELECT name FROM sqlite_master WHERE type='table' AND name=? LIMIT 1`
-    ).get(name);
-    return !!row;
-  }catch(e){
-    return false;
-  }
-}
-function firstExistingTable(database, candidates){
-  for(const t of candidates){
-    if(hasTable(database, t)) return t;
-  }
-  return null;
-}
-function hasColumn(database, table, col){
+// views may be TEMP (created by snapshot-db.js on older snapshots), so probe by querying
+function viewGuard(database, name){
   try{
-    const rows = database.prepare(`PRAGMA table_info(${table})`).all();
-    return rows.some(r => String(r.name).toLowerCase() === String(col).toLowerCase());
+    database.prepare(`SELECT 1 FROM ${name} LIMIT 1`).get();
+    return true;
   }catch(e){
     return false;
   }
 }
-function pickCols(database, table, desired){
-  return desired.filter(c => hasColumn(database, table, c));
-}
 
-function asArray(v){
-  if(Array.isArray(v)) return v;
-  if(v == null) return [];
-  try{
-    const parsed = JSON.parse(v);
-    return Array.isArray(parsed) ? parsed : [];
-  }catch(e){
-    return [];
+function loadBinsBySite(database){
+  const out = new Map();
+  const rows = database.prepare(`
+    SELECT siteId, binNum AS num, capacityBushels AS bushels, onHandBushels AS onHand,
+           lastCropType, lastCropMoisture
+    FROM binSiteBins
+  `).all() || [];
+  for(const r of rows){
+    if(!out.has(r.siteId)) out.set(r.siteId, []);
+    out.get(r.siteId).push(r);
   }
+  return out;
 }
 
 function normStatus(v){
@@ -84,29 +73,16 @@ function normStatus(v){
   return s;
 }
 
-function sumBinsOnHand(bins){
-  let total = 0;
-  let any = false;
-  for(const b of bins){
-    const oh = safeNum(b.onHand);
-    if(oh != null){
-      total += oh;
-      any = true;
-    }
-  }
-  return any ? total : null;
-}
-
 function summarizeSite(site){
   const name = normStr(site.name) || "(Unnamed bin site)";
   const status = normStatus(site.status);
   const used = truthy(site.used);
 
   const totalBushels = safeNum(site.totalBushels);
-  const bins = asArray(site.bins);
+  const bins = site.bins || [];
 
-  const binCount = bins.length;
-  const onHand = sumBinsOnHand(bins);
+  const binCount = safeNum(site.binCount) ?? bins.length;
+  const onHand = safeNum(site.onHand);
 
   const binLines = bins
     .slice()
@@ -184,13 +160,7 @@ function rollupTotals(items){
 export function getBinSites(opts = {}){
   const database = getDb();
 
-  const table = firstExistingTable(database, [
-    "bin_sites",
-    "binSites",
-    "binsites"
-  ]);
-
-  if(!table){
+  if(!viewGuard(database, "v_bin_site_totals")){
     return {
       ok: true,
       intent: "binSites",
@@ -198,36 +168,25 @@ export function getBinSites(opts = {}){
       counts: { sites: 0 },
       totals: { totalCapacityBushels: null, totalOnHandBushels: null },
       sites: [],
-      note: `No bin sites table found in snapshot (tried: bin_sites, binSites, binsites)`
+      note: `No v_bin_site_totals view in snapshot (needs binSites + binSiteBins tables)`
     };
   }
 
   const includeArchived = truthy(opts.includeArchived);
   const q = normLower(opts.q);
 
-  const wanted = [
-    "id",
-    "name",
-    "status",
-    "used",
-    "totalBushels",
-    "bins",
-    "createdAtISO",
-    "updatedAtISO",
-    "createdAt",
-    "updatedAt"
-  ];
-
-  const cols = pickCols(database, table, wanted);
-  const selectCols = cols.length ? cols.map(c => `"${c}"`).join(", ") : "*";
-  const rows = database.prepare(`SELECT ${selectCols} FROM ${table}`).all() || [];
+  const binsBySite = loadBinsBySite(database);
+  const rows = database.prepare(`
+    SELECT siteId AS id, siteName AS name, status, used, totalBushels, binCount, onHandBushels AS onHand
+    FROM v_bin_site_totals
+  `).all() || [];
 
   const active = [];
   const archived = [];
 
   for(const r of rows){
-    r.id = r.id || r.docId || null;
     if(!r.id) continue;
+    r.bins = binsBySite.get(r.id) || [];
 
     const status = normStatus(r.status);
     const used = truthy(r.used);
@@ -254,7 +213,7 @@ export function getBinSites(opts = {}){
   const out = {
     ok: true,
     intent: "binSites",
-    tableUsed: table,
+    tableUsed: "v_bin_site_totals",
     filter: { includeArchived, q: q || null },
     counts: { sites: activeSumm.length },
     totals: rollupTotals(activeSumm),
@@ -1,14 +1,24 @@
 // /src/data/getters/counties.js  (FULL FILE)
-// Rev: 2026-01-21-v2-getters-counties-active-default-archived-separate
+// Rev: 2026-10-19-v3-getters-counties-field-view
 //
 // Default behavior: ACTIVE ONLY.
 // If includeArchived=true, we return active + archived sections separately.
 // Counties with zero active fields never appear in normal results.
+// Field / farm lists read v_field_full (farm name resolved in the snapshot view).
+// County keys may carry the state ("Adams, IL", as resolveEntity returns them) to pick one of two same-named counties.
 
 import { db } from "../sqlite.js";
 
 function norm(s) { return (s ?? "").toString().trim(); }
 
+// "Adams, IL" (the resolver's county id) -> { county: "Adams", state: "IL" }; a bare name matches any state
+function splitCountyKey(key) {
+  const m = key.match(/^(.*\S)\s*,\s*([A-Za-z]{2})$/);
+  return m ? { county: m[1], state: m[2] } : { county: key, state: "" };
+}
+
+const STATE_WHERE = " AND (? = '' OR upper(COALESCE(f.state,'')) = upper(?)) ";
+
 function hasColumn(sqlite, table, col) {
   try {
     const rows = sqlite.prepare(`PRAGMA table_info(${table})`).all();
@@ -93,23 +103,24 @@ export function getCountySummary(opts = {}) {
 export function getCountyStatsByKey(countyKey, opts = {}) {
   const includeArchived = opts.includeArchived === true;
   const sqlite = db();
-  const key = norm(countyKey);
-  if (!key) throw new Error("Missing county");
+  if (!norm(countyKey)) throw new Error("Missing county");
+  const key = splitCountyKey(norm(countyKey));
 
   function bestCounty(whereExtra) {
     return sqlite.prepare(`
       SELECT f.county AS county, COALESCE(f.state,'') AS state, COUNT(1) AS n
       FROM fields f
       WHERE f.county IS NOT NULL AND TRIM(f.county) <> '' AND lower(f.county) LIKE lower(?)
+      ${STATE_WHERE}
       ${whereExtra}
       GROUP BY f.county, state
       ORDER BY n DESC
       LIMIT 1
-    `).get(`%${key}%`);
+    `).get(`%${key.county}%`, key.state, key.state);
   }
 
   const bestActive = bestCounty(activeWhere(sqlite, "f", false));
-  if (!bestActive && !includeArchived) throw new Error(`County not found (active): ${key}`);
+  if (!bestActive && !includeArchived) throw new Error(`County not found (active): ${norm(countyKey)}`);
 
   const best = bestActive || bestCounty(""); // any if includeArchived=true
 
@@ -138,36 +149,36 @@ export function getCountyStatsByKey(countyKey, opts = {}) {
 export function getFieldsInCounty(countyKey, opts = {}) {
   const includeArchived = opts.includeArchived === true;
   const sqlite = db();
-  const key = norm(countyKey);
-  if (!key) throw new Error("Missing county");
+  if (!norm(countyKey)) throw new Error("Missing county");
+  const key = splitCountyKey(norm(countyKey));
 
   const best = sqlite.prepare(`
     SELECT f.county AS county, COALESCE(f.state,'') AS state, COUNT(1) AS n
     FROM fields f
     WHERE f.county IS NOT NULL AND TRIM(f.county) <> '' AND lower(f.county) LIKE lower(?)
+      ${STATE_WHERE}
     GROUP BY f.county, state
     ORDER BY n DESC
     LIMIT 1
-  `).get(`%${key}%`);
+  `).get(`%${key.county}%`, key.state, key.state);
 
-  if (!best) throw new Error(`County not found: ${key}`);
+  if (!best) throw new Error(`County not found: ${norm(countyKey)}`);
 
   const fetchFields = (whereExtra) => sqlite.prepare(`
     SELECT
-      f.id AS fieldId,
-      f.name AS fieldName,
-      COALESCE(NULLIF(f.farmName,''), fm.name) AS farmName,
+      f.fieldId,
+      f.fieldName,
+      f.farmName,
       f.acresTillable AS acresTillable,
       COALESCE(f.hasHEL,0) AS hasHEL,
       COALESCE(f.helAcres,0) AS helAcres,
       COALESCE(f.hasCRP,0) AS hasCRP,
       COALESCE(f.crpAcres,0) AS crpAcres,
-      ${hasColumn(sqlite,"fields","archived") ? "COALESCE(f.archived,0) AS archived" : "0 AS archived"}
-    FROM fields f
-    LEFT JOIN farms fm ON fm.id = f.farmId
+      f.archived
+    FROM v_field_full f
     WHERE f.county = ? AND COALESCE(f.state,'') = ?
     ${whereExtra}
-    ORDER BY lower(f.name) ASC
+    ORDER BY lower(f.fieldName) ASC
   `).all(best.county, best.state);
 
   const active = fetchFields(activeWhere(sqlite, "f", false)).map(r => ({
@@ -200,27 +211,27 @@ export function getFieldsInCounty(countyKey, opts = {}) {
 export function getFarmsInCounty(countyKey, opts = {}) {
   const includeArchived = opts.includeArchived === true;
   const sqlite = db();
-  const key = norm(countyKey);
-  if (!key) throw new Error("Missing county");
+  if (!norm(countyKey)) throw new Error("Missing county");
+  const key = splitCountyKey(norm(countyKey));
 
   const best = sqlite.prepare(`
     SELECT f.county AS county, COALESCE(f.state,'') AS state, COUNT(1) AS n
     FROM fields f
     WHERE f.county IS NOT NULL AND TRIM(f.county) <> '' AND lower(f.county) LIKE lower(?)
+      ${STATE_WHERE}
     GROUP BY f.county, state
     ORDER BY n DESC
     LIMIT 1
-  `).get(`%${key}%`);
+  `).get(`%${key.county}%`, key.state, key.state);
 
-  if (!best) throw new Error(`County not found: ${key}`);
+  if (!best) throw new Error(`County not found: ${norm(countyKey)}`);
 
   const fetchFarms = (whereExtra) => sqlite.prepare(`
     SELECT
-      COALESCE(NULLIF(f.farmName,''), fm.name, '(Unnamed)') AS farmName,
+      COALESCE(NULLIF(f.farmName,''), '(Unnamed)') AS farmName,
       COUNT(1) AS fieldCount,
       ROUND(SUM(COALESCE(f.acresTillable,0)), 2) AS tillableAcres
-    FROM fields f
-    LEFT JOIN farms fm ON fm.id = f.farmId
+    FROM v_field_full f
     WHERE f.county = ? AND COALESCE(f.state,'') = ?
     ${whereExtra}
     GROUP BY farmName
@@ -0,0 +1,124 @@
+// ======================================================================
+// /src/data/getters/dataIssues.js  (FULL FILE - ESM)
+// Rev: 2026-10-19-v1-data-issues
+//
+// Data quality findings written at build time by /context/snapshot-audit.js (_data_issues).
+// Each issue points at the FarmVista record to fix: collection + recordId (+ recordName).
+//
+// Filters:
+// - rule (exact rule id, e.g. "field_no_county")
+// - severity ("error" | "warning")
+// - q (search text over rule/table/record name/message; "fields", "rtk", "grain bags" work)
+//
+// Output goals:
+// - counts (total, by rule, by severity)
+// - issues grouped by rule, newest snapshot only
+// ======================================================================
+
+import { db } from '../sqlite.js';
+import { AUDIT_RULES, ISSUES_TABLE } from '../../../context/snapshot-audit.js';
+
+function getDb(){
+  return (typeof db === 'function') ? db() : db;
+}
+
+function normStr(v){ return (v == null) ? "" : String(v); }
+function normLower(v){ return normStr(v).trim().toLowerCase(); }
+
+function hasTable(database, name){
+  try{
+    const row = database.prepare(
+      `SELECT name FROM sqlite_master WHERE type='table' AND name=? LIMIT 1`
+    ).get(name);
+    return !!row;
+  }catch(e){
+    return false;
+  }
+}
+
+// "grain bags" -> "grain bag" (match grainBagEvents / grain_bag_events by words)
+function searchTerms(q){
+  return normLower(q)
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(Boolean)
+    .map(w => w.replace(/s$/, ""));
+}
+
+function matchesTerms(issue, terms){
+  if(!terms.length) return true;
+  const hay = normLower([issue.rule, issue.tableName, issue.collection, issue.recordName, issue.message].join(" "))
+    .replace(/[^a-z0-9]+/g, "");
+  return terms.every(t => hay.includes(t));
+}
+
+/**
+ * getDataIssues(opts)
+ * opts:
+ *  - rule (string) optional
+ *  - severity (string) optional
+ *  - q (string) optional
+ *  - limit (number) default 200 (per rule)
+ */
+export function getDataIssues(opts = {}){
+  const sqlite = getDb();
+  const rule = normLower(opts.rule);
+  const severity = normLower(opts.severity);
+  const q = normStr(opts.q).trim();
+  const limit = Number.isFinite(Number(opts.limit)) ? Math.max(1, Number(opts.limit)) : 200;
+
+  if(!hasTable(sqlite, ISSUES_TABLE)){
+    return {
+      ok: true,
+      intent: "dataIssues",
+      filter: { rule, severity, q },
+      counts: { total: 0, byRule: {}, bySeverity: {} },
+      rules: [],
+      note: `No ${ISSUES_TABLE} table in this snapshot (built before the audit existed); rebuild the snapshot.`
+    };
+  }
+
+  const terms = searchTerms(q);
+  const all = sqlite.prepare(`
+    SELECT rule, severity, tableName, collection, recordId, recordName, value, message
+    FROM ${ISSUES_TABLE}
+    ORDER BY rule, recordName, recordId
+  `).all()
+    .filter(r => !rule || normLower(r.rule) === rule)
+    .filter(r => !severity || normLower(r.severity) === severity)
+    .filter(r => matchesTerms(r, terms));
+
+  const byRule = {};
+  const bySeverity = {};
+  for(const r of all){
+    byRule[r.rule] = (byRule[r.rule] || 0) + 1;
+    bySeverity[r.severity] = (bySeverity[r.severity] || 0) + 1;
+  }
+
+  // AUDIT_RULES order first; rules from other builder revs still show (from their rows)
+  const order = new Map(AUDIT_RULES.map((x, i) => [x.id, i]));
+  const rules = Object.keys(byRule)
+    .sort((a, b) => (order.get(a) ?? 999) - (order.get(b) ?? 999))
+    .map(id => {
+      const rows = all.filter(r => r.rule === id);
+      return {
+        rule: id,
+        severity: rows[0].severity,
+        message: rows[0].message,
+        collection: rows[0].collection,
+        count: rows.length,
+        issues: rows
+          .slice(0, limit)
+          .map(r => ({ recordId: r.recordId, recordName: r.recordName || "", value: r.value }))
+      };
+    });
+
+  return {
+    ok: true,
+    intent: "dataIssues",
+    filter: { rule, severity, q },
+    counts: { total: all.length, byRule, bySeverity },
+    rules,
+    note: all.length ? "" : "No data quality issues match."
+  };
+}
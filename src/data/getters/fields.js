@@ -1,86 +1,43 @@
 // /src/data/getters/fields.js  (FULL FILE)
-// Rev: 2026-01-21-v2-getters-fields-active-default
+// Rev: 2026-10-19-v3-getters-fields-view
 //
-// Default: ACTIVE ONLY (if fields.archived exists).
+// Default: ACTIVE ONLY (v_field_full.archived = 0).
 // includeArchived=true allows archived results.
 
 import { db } from '../sqlite.js';
 
 function normKey(x) { return (x ?? '').toString().trim(); }
 
-function hasColumn(sqlite, table, col) {
-  try {
-    const rows = sqlite.prepare(`PRAGMA table_info(${table})`).all();
-    return rows.some(r => r.name === col);
-  } catch {
-    return false;
-  }
-}
-
-function activeWhere(sqlite, alias, includeArchived) {
+function activeWhere(alias, includeArchived) {
   if (includeArchived) return "";
-  if (hasColumn(sqlite, "fields", "archived")) return ` AND COALESCE(${alias}.archived,0)=0 `;
-  return "";
+  return ` AND ${alias}.archived=0 `;
 }
 
+// Join logic (farm / RTK tower names) lives in the snapshot view v_field_full.
 const SQL_BY_ID = (extraWhere) => `
   SELECT
-    f.id            AS fieldId,
-    f.name          AS fieldName,
-    f.county        AS county,
-    f.state         AS state,
-    f.acresTillable AS acresTillable,
-
-    f.hasHEL        AS hasHEL,
-    f.helAcres      AS helAcres,
-    f.hasCRP        AS hasCRP,
-    f.crpAcres      AS crpAcres,
-
-    f.farmId        AS farmId,
-    COALESCE(NULLIF(f.farmName, ''), fm.name) AS farmName,
-
-    f.rtkTowerId    AS rtkTowerId,
-    COALESCE(NULLIF(f.rtkTowerName, ''), rt.name) AS rtkTowerName,
-    rt.networkId    AS rtkNetworkId,
-    rt.frequency    AS rtkFrequency
-
-  FROM fields f
-  LEFT JOIN farms fm     ON fm.id = f.farmId
-  LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId
-  WHERE f.id = ?
+    f.fieldId, f.fieldName, f.county, f.state, f.acresTillable,
+    f.hasHEL, f.helAcres, f.hasCRP, f.crpAcres,
+    f.farmId, f.farmName,
+    f.rtkTowerId, f.rtkTowerName, f.rtkNetworkId, f.rtkFrequency
+  FROM v_field_full f
+  WHERE f.fieldId = ?
   ${extraWhere}
   LIMIT 1
 `;
 
 const SQL_BY_NAME = (extraWhere) => `
   SELECT
-    f.id            AS fieldId,
-    f.name          AS fieldName,
-    f.county        AS county,
-    f.state         AS state,
-    f.acresTillable AS acresTillable,
-
-    f.hasHEL        AS hasHEL,
-    f.helAcres      AS helAcres,
-    f.hasCRP        AS hasCRP,
-    f.crpAcres      AS crpAcres,
-
-    f.farmId        AS farmId,
-    COALESCE(NULLIF(f.farmName, ''), fm.name) AS farmName,
-
-    f.rtkTowerId    AS rtkTowerId,
-    COALESCE(NULLIF(f.rtkTowerName, ''), rt.name) AS rtkTowerName,
-    rt.networkId    AS rtkNetworkId,
-    rt.frequency    AS rtkFrequency
-
-  FROM fields f
-  LEFT JOIN farms fm     ON fm.id = f.farmId
-  LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId
-  WHERE lower(f.name) LIKE lower(?)
+    f.fieldId, f.fieldName, f.county, f.state, f.acresTillable,
+    f.hasHEL, f.helAcres, f.hasCRP, f.crpAcres,
+    f.farmId, f.farmName,
+    f.rtkTowerId, f.rtkTowerName, f.rtkNetworkId, f.rtkFrequency
+  FROM v_field_full f
+  WHERE lower(f.fieldName) LIKE lower(?)
   ${extraWhere}
   ORDER BY
-    ${hasColumn(db(), "fields", "archived") ? "COALESCE(f.archived,0) ASC," : ""}
-    lower(f.name) ASC
+    f.archived ASC,
+    lower(f.fieldName) ASC
   LIMIT 1
 `;
 
@@ -90,7 +47,7 @@ export function getFieldFullByKey(key, opts = {}) {
   if (!k) throw new Error('Missing field key');
 
   const sqlite = db();
-  const extra = activeWhere(sqlite, "f", includeArchived);
+  const extra = activeWhere("f", includeArchived);
 
   const row = sqlite.prepare(SQL_BY_ID(extra)).get(k);
   if (row) return row;
@@ -1,7 +1,11 @@
 // /src/data/getters/grainBags.js  (FULL FILE)
-// Rev: 2026-01-24-v7-grainbags-use-corn-rated-capacity-factors
+// Rev: 2026-10-19-v8-grainbags-down-view
 //
-// Based on: 2026-01-23-v6-grainbags-support-snapshot-schema-appliedTo-table
+// Based on: 2026-01-24-v7-grainbags-use-corn-rated-capacity-factors
+//
+// ✅ getGrainBagsDownSummary() groups the snapshot view v_grain_bags_down
+//    (/context/snapshot-views.js: open remaining + bag product + crop-factored capacity)
+//    and only falls back to the full report when the view is unavailable
 //
 // Fix (per Dane):
 // ✅ Support current SQLite snapshot schema from /context/snapshot-build.js:
@@ -81,6 +85,16 @@ function hasTable(sqlite, name){
   }
 }
 
+// views may be TEMP (created by snapshot-db.js on older snapshots), so probe by querying
+function viewGuard(sqlite, name){
+  try{
+    sqlite.prepare(`SELECT 1 FROM ${name} LIMIT 1`).get();
+    return true;
+  }catch(_e){
+    return false;
+  }
+}
+
 function firstExistingTable(sqlite, candidates){
   for(const t of candidates){
     if(hasTable(sqlite, t)) return t;
@@ -186,121 +200,21 @@ function capacityForCrop(productRow, cropTypeNorm, capCols){
 export function getGrainBagsDownSummary(){
   const sqlite = getDb();
 
-  if(hasTable(sqlite, "v_grainBag_open_remaining") && hasTable(sqlite, "productsGrainBags")){
-    const capCols = pickCapacityColumns(sqlite, "productsGrainBags");
-
-    // CORN-RATED base capacity
-    const anyCol = capCols.any ? `p.${capCols.any} AS cornRatedBu` : `NULL AS cornRatedBu`;
-    const cornCol = capCols.corn ? `p.${capCols.corn} AS cornRatedBu2` : `NULL AS cornRatedBu2`;
-
-    // keep legacy columns (optional)
-    const soyCol  = capCols.soy  ? `p.${capCols.soy}  AS bushelsSoyLegacy`  : `NULL AS bushelsSoyLegacy`;
-    const wheatCol= capCols.wheat? `p.${capCols.wheat} AS bushelsWheatLegacy`: `NULL AS bushelsWheatLegacy`;
-
-    // Apply FV factors in SQL so bushels are not zero
-    const sql = `
-      WITH cap AS (
-        SELECT
-          p.id,
-          p.brand,
-          p.diameterFt,
-          p.lengthFt,
-          ${anyCol},
-          ${cornCol},
-          ${soyCol},
-          ${wheatCol}
-        FROM productsGrainBags p
-      ),
-      open AS (
-        SELECT
-          o.putDownId,
-          o.cropType,
-          o.bagBrand,
-          o.bagDiameterFt,
-          o.bagSizeFeet,
-          o.remainingFull,
-          o.remainingPartial,
-          o.remainingPartialFeetSum
-        FROM v_grainBag_open_remaining o
-      ),
-      joined AS (
-        SELECT
-          open.cropType AS cropType,
-          open.putDownId AS putDownId,
-          open.remainingFull AS remainingFull,
-          open.remainingPartial AS remainingPartial,
-          open.remainingPartialFeetSum AS remainingPartialFeetSum,
-          open.bagSizeFeet AS bagSizeFeet,
-
-          -- CORN-RATED base (prefer bushels, then bushelsCorn)
-          COALESCE(cap.cornRatedBu, cap.cornRatedBu2, 0) AS cornRatedCapacityBu,
-
-          -- legacy direct crop capacity (only used if cornRated missing)
-          COALESCE(cap.bushelsSoyLegacy, 0) AS soyLegacyBu,
-          COALESCE(cap.bushelsWheatLegacy, 0) AS wheatLegacyBu
-
-        FROM open
-        LEFT JOIN cap
-          ON cap.diameterFt = open.bagDiameterFt
-         AND cap.lengthFt   = open.bagSizeFeet
-      ),
-      cap2 AS (
-        SELECT
-          *,
-          CASE
-            WHEN lower(cropType) LIKE '%corn%' THEN
-              cornRatedCapacityBu * 1.00
-
-            WHEN lower(cropType) LIKE '%soy%' OR lower(cropType) LIKE '%bean%' THEN
-              CASE
-                WHEN cornRatedCapacityBu > 0 THEN cornRatedCapacityBu * 0.93
-                ELSE soyLegacyBu
-              END
-
-            WHEN lower(cropType) LIKE '%wheat%' THEN
-              CASE
-                WHEN cornRatedCapacityBu > 0 THEN cornRatedCapacityBu * 1.07
-                ELSE wheatLegacyBu
-              END
-
-            WHEN lower(cropType) LIKE '%milo%' OR lower(cropType) LIKE '%sorghum%' THEN
-              cornRatedCapacityBu * 1.02
-
-            WHEN lower(cropType) LIKE '%oat%' THEN
-              cornRatedCapacityBu * 0.78
-
-            ELSE
-              cornRatedCapacityBu * 1.00
-          END AS bagCapacityBu
-        FROM joined
-      )
+  // Capacity join + crop factors live in the snapshot view v_grain_bags_down
+  if(viewGuard(sqlite, "v_grain_bags_down")){
+    return sqlite.prepare(`
       SELECT
-        cropType,
+        crop AS cropType,
         COUNT(1) AS putDownRows,
         SUM(COALESCE(remainingFull,0)) AS remainingFull,
         SUM(COALESCE(remainingPartial,0)) AS remainingPartial,
-        ROUND(SUM(COALESCE(remainingFull,0) * COALESCE(bagCapacityBu,0)), 1) AS bushelsFull,
-        ROUND(SUM(
-          CASE
-            WHEN COALESCE(bagSizeFeet,0) <= 0 THEN 0
-            ELSE (COALESCE(remainingPartialFeetSum,0) / bagSizeFeet) * COALESCE(bagCapacityBu,0)
-          END
-        ), 1) AS bushelsPartial,
-        ROUND(
-          SUM(COALESCE(remainingFull,0) * COALESCE(bagCapacityBu,0)) +
-          SUM(
-            CASE
-              WHEN COALESCE(bagSizeFeet,0) <= 0 THEN 0
-              ELSE (COALESCE(remainingPartialFeetSum,0) / bagSizeFeet) * COALESCE(bagCapacityBu,0)
-            END
-          )
-        , 1) AS bushelsTotal
-      FROM cap2
-      GROUP BY cropType
-      ORDER BY cropType ASC
-    `;
-
-    return sqlite.prepare(sql).all();
+        ROUND(SUM(COALESCE(bushelsFull,0)), 1) AS bushelsFull,
+        ROUND(SUM(COALESCE(bushelsPartial,0)), 1) AS bushelsPartial,
+        ROUND(SUM(COALESCE(bushels,0)), 1) AS bushelsTotal
+      FROM v_grain_bags_down
+      GROUP BY crop
+      ORDER BY crop ASC
+    `).all();
   }
 
   const rep = getGrainBagsReport({});
@@ -1,6 +1,6 @@
 // ======================================================================
 // /src/data/getters/helCrpTotals.js  (NEW FILE)
-// Rev: 2026-01-23-v1-hel-crp-totals-toggle-first
+// Rev: 2026-10-19-v2-hel-crp-totals-field-view
 //
 // ACTIVE-ONLY DEFAULT (per Dane):
 // - Default reads ONLY active fields (if fields.archived exists -> archived=0)
@@ -13,7 +13,7 @@
 // Source columns (from your live fields.js):
 // - fields.hasHEL, fields.helAcres
 // - fields.hasCRP, fields.crpAcres
-// - fields.farmId, fields.farmName, farms.name
+// - v_field_full.farmName (fields.farmName, else farms.name) for the by-farm rollup
 // - fields.county, fields.state
 //
 // Output goals:
@@ -103,14 +103,13 @@ function runRollups(sqlite, includeArchived){
   const sqlFarm = `
     SELECT
       f.farmId AS farmId,
-      COALESCE(NULLIF(f.farmName,''), fm.name, '(Unknown farm)') AS farmName,
+      COALESCE(NULLIF(f.farmName,''), '(Unknown farm)') AS farmName,
       COALESCE(NULLIF(f.county,''), '(Unknown county)') AS county,
       SUM(CASE WHEN COALESCE(f.hasHEL,0)=1 THEN 1 ELSE 0 END) AS fieldsWithHEL,
       SUM(CASE WHEN COALESCE(f.hasCRP,0)=1 THEN 1 ELSE 0 END) AS fieldsWithCRP,
       SUM(CASE WHEN COALESCE(f.hasHEL,0)=1 THEN COALESCE(f.helAcres,0) ELSE 0 END) AS helAcres,
       SUM(CASE WHEN COALESCE(f.hasCRP,0)=1 THEN COALESCE(f.crpAcres,0) ELSE 0 END) AS crpAcres
-    FROM fields f
-    LEFT JOIN farms fm ON fm.id = f.farmId
+    FROM v_field_full f
     WHERE 1=1
     ${extra}
     GROUP BY f.farmId, farmName, county
@@ -1,6 +1,6 @@
 // ======================================================================
 // /src/data/getters/helFieldsList.js  (NEW FILE)
-// Rev: 2026-01-30-v1-hel-fields-list-active-only
+// Rev: 2026-10-19-v2-hel-fields-list-field-view
 //
 // ACTIVE-ONLY DEFAULT (per Dane):
 // - Default reads ONLY active fields (if fields.archived exists -> archived=0)
@@ -14,6 +14,8 @@
 // Output goal:
 // - list of fields that have HEL acres > 0:
 //   [{ fieldId, fieldName, helAcres, farmId, farmName, county, state }]
+//
+// Reads v_field_full (farm name resolved in the snapshot view).
 // ======================================================================
 
 import { db } from "../sqlite.js";
@@ -56,18 +58,6 @@ function activeWhere(sqlite, alias, includeArchived){
   return "";
 }
 
-// Best-effort "field name" expression across common schemas.
-// If none exist, fall back to the field id.
-function fieldNameExpr(sqlite){
-  const candidates = ["fieldName","name","displayName","label","title","nickname"];
-  const present = candidates.filter(c => hasColumn(sqlite, "fields", c));
-  if(present.length === 0) return `COALESCE(NULLIF(f.id,''), '(Unknown field)')`;
-  // COALESCE(NULLIF(f.fieldName,''), NULLIF(f.name,''), ...)
-  const parts = present.map(c => `NULLIF(f.${c},'')`);
-  parts.push(`NULLIF(f.id,'')`);
-  return `COALESCE(${parts.join(", ")}, '(Unknown field)')`;
-}
-
 function runList(sqlite, includeArchived, archivedOnly){
   const extraActive = activeWhere(sqlite, "f", includeArchived);
   const hasArchived = hasColumn(sqlite, "fields", "archived");
@@ -77,20 +67,17 @@ function runList(sqlite, includeArchived, archivedOnly){
     archClause = hasArchived ? ` AND COALESCE(f.archived,0)=1 ` : ` AND 1=0 `;
   }
 
-  const nameExpr = fieldNameExpr(sqlite);
-
   const sql = `
     SELECT
-      f.id AS fieldId,
-      ${nameExpr} AS fieldName,
-      f.farmId AS farmId,
-      COALESCE(NULLIF(f.farmName,''), fm.name, '(Unknown farm)') AS farmName,
+      f.fieldId,
+      COALESCE(NULLIF(f.fieldName,''), NULLIF(f.fieldId,''), '(Unknown field)') AS fieldName,
+      f.farmId,
+      COALESCE(NULLIF(f.farmName,''), '(Unknown farm)') AS farmName,
       COALESCE(NULLIF(f.county,''), '(Unknown county)') AS county,
       COALESCE(NULLIF(f.state,''), '') AS state,
       COALESCE(f.hasHEL,0) AS hasHEL,
       COALESCE(f.helAcres,0) AS helAcres
-    FROM fields f
-    LEFT JOIN farms fm ON fm.id = f.farmId
+    FROM v_field_full f
     WHERE 1=1
       ${extraActive}
       ${archClause}
@@ -1,5 +1,5 @@
 // /src/data/getters/index.js  (FULL FILE)
-// Rev: 2026-01-23-v5-getters-index-add-hel-crp-totals
+// Rev: 2026-10-19-v9-getters-index-add-resolve
 
 export { getFieldFullByKey } from './fields.js';
 
@@ -34,4 +34,16 @@ export { getBinSites } from './binSites.js';
 export { getBinMovements } from './binMovements.js';
 
 // NEW: HEL/CRP totals (toggle-first)
-export { getHelCrpTotals } from './helCrpTotals.js';
\ No newline at end of file
+export { getHelCrpTotals } from './helCrpTotals.js';
+
+// NEW: snapshot diff (async)
+export { getSnapshotDiff } from './snapshotDiff.js';
+
+// NEW: build-time data quality audit
+export { getDataIssues } from './dataIssues.js';
+
+// NEW: full-text search (_search FTS5 index)
+export { getSearch } from './search.js';
+
+// NEW: typo-tolerant entity resolution ("did you mean")
+export { resolveEntity, RESOLVE_KINDS } from './resolve.js';
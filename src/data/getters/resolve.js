@@ -0,0 +1,254 @@
+// ======================================================================
+// /src/data/getters/resolve.js  (FULL FILE - ESM)
+// Rev: 2026-10-19-v1-resolve
+//
+// Typo-tolerant entity resolution for chat keys ("north 40", "pice county", "pittsfeild tower").
+// Kinds: field, farm, county, rtkTower, binSite, equipment
+//
+// Scoring (0..1) per candidate name:
+// - 1.0: id match, or the same words as the name (case/punctuation ignored)
+// - token match: each key word vs its best name word (prefix = 0.9, else 1 - edit distance / length),
+//   NUMBERS MUST MATCH EXACTLY ("north 40" never resolves to "North 80"), plus how much of the name
+//   was covered; the whole-string edit distance is used when it scores higher
+// - filler words per kind ("county", "tower", "field") are ignored unless the name has them
+//
+// Status:
+// - "resolved": one candidate >= MIN_SCORE clearly ahead of the rest (match = it)
+// - "ambiguous": several candidates within AMBIGUITY_GAP of the best -> ask "did you mean"
+// - "none": nothing >= MIN_SCORE (candidates = weaker suggestions >= SUGGEST_SCORE, may be empty),
+//   or the table/view the kind reads is missing from the snapshot (note says which)
+//
+// ACTIVE-ONLY DEFAULT (per Dane): archived records are candidates only with includeArchived=true.
+// ======================================================================
+
+import { db } from '../sqlite.js';
+
+const MIN_SCORE = 0.7;
+const SUGGEST_SCORE = 0.5;
+const AMBIGUITY_GAP = 0.05;
+const MAX_CANDIDATES = 8;
+
+function getDb(){
+  return (typeof db === 'function') ? db() : db;
+}
+
+function normStr(v){ return (v == null) ? "" : String(v); }
+
+// views may be TEMP (created by snapshot-db.js) or missing if ensureViews failed, so probe by querying
+function tableGuard(database, table){
+  try{
+    database.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get();
+    return true;
+  }catch(_e){
+    return false;
+  }
+}
+
+function tokens(v){
+  return normStr(v)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+function isNumber(t){ return /^\d+(\.\d+)?$/.test(t); }
+
+function editDistance(a, b){
+  if(a === b) return 0;
+  if(!a.length) return b.length;
+  if(!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for(let i = 1; i <= a.length; i++){
+    const cur = [i];
+    for(let j = 1; j <= b.length; j++){
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b){
+  const m = Math.max(a.length, b.length);
+  return m ? Math.max(0, 1 - editDistance(a, b) / m) : 0;
+}
+
+function tokenSim(q, t){
+  if(q === t) return 1;
+  if(isNumber(q) || isNumber(t)) return 0;
+  if(q.length >= 2 && t.startsWith(q)) return 0.9;
+  return similarity(q, t);
+}
+
+function scoreName(allKeyTokens, name, noise){
+  const nameTokens = tokens(name);
+  // "pike county" -> "pike" unless the name itself has the word ("Home Field")
+  const kept = allKeyTokens.filter(t => !noise.has(t) || nameTokens.includes(t));
+  const keyTokens = kept.length ? kept : allKeyTokens;
+  if(!nameTokens.length || !keyTokens.length) return 0;
+
+  const keyNorm = keyTokens.join(" ");
+  const nameNorm = nameTokens.join(" ");
+  if(keyNorm === nameNorm) return 1;
+
+  const used = new Set();
+  let sum = 0;
+  for(const q of keyTokens){
+    let best = 0;
+    let bestIdx = -1;
+    nameTokens.forEach((t, i) => {
+      if(used.has(i)) return;
+      const s = tokenSim(q, t);
+      if(s > best){ best = s; bestIdx = i; }
+    });
+    if(bestIdx >= 0 && best > 0) used.add(bestIdx);
+    sum += best;
+  }
+  const tokenScore = sum / keyTokens.length;
+  const coverage = used.size / nameTokens.length;
+
+  // a key word with a wrong number sinks the token score; don't let the whole-string score rescue it
+  const numberMismatch = keyTokens.some(q => isNumber(q) && !nameTokens.includes(q));
+  const whole = numberMismatch ? 0 : similarity(keyNorm, nameNorm);
+
+  return Math.min(0.99, Math.max(whole, tokenScore * 0.85 + coverage * 0.15));
+}
+
+// words users add around a name ("pike county", "pittsfield tower"); ignored when the name lacks them
+const NOISE = {
+  field: ["field", "fields"],
+  farm: ["farm", "farms"],
+  county: ["county", "co", "cnty"],
+  rtkTower: ["rtk", "tower", "towers"],
+  binSite: ["site", "sites"],
+  equipment: []
+};
+
+/* ----------------------------- candidate sources ----------------------------- */
+// Each source -> { table (what it reads), rows: (sqlite) -> rows of { id, name, names[] (extra aliases), detail, archived } }
+const SOURCES = {
+  field: { table: "v_field_full", rows: (sqlite) => sqlite.prepare(`
+    SELECT fieldId AS id, fieldName AS name, archived,
+           TRIM(COALESCE(farmName,'') || CASE WHEN COALESCE(county,'') <> '' THEN ' • ' || county || ' County' ELSE '' END, ' •') AS detail
+    FROM v_field_full
+  `).all() },
+
+  farm: { table: "v_farm_rollup", rows: (sqlite) => sqlite.prepare(`
+    SELECT farmId AS id, farmName AS name, archived,
+           fieldCount || ' active fields' || CASE WHEN COALESCE(counties,'') <> '' THEN ' • ' || counties ELSE '' END AS detail
+    FROM v_farm_rollup
+  `).all() },
+
+  // county "id" is "Adams, IL" (what the county getters take; the state tells same-named counties apart)
+  county: { table: "v_field_full", rows: (sqlite) => sqlite.prepare(`
+    SELECT county || CASE WHEN TRIM(COALESCE(state,'')) <> '' THEN ', ' || TRIM(state) ELSE '' END AS id,
+           county AS name,
+           MIN(archived) AS archived,
+           TRIM(COALESCE(state,'') || ' • ' || SUM(CASE WHEN archived = 0 THEN 1 ELSE 0 END) || ' active fields', ' •') AS detail
+    FROM v_field_full
+    WHERE TRIM(COALESCE(county,'')) <> ''
+    GROUP BY county, COALESCE(state,'')
+  `).all().map(r => ({ ...r, names: [r.id] })) },
+
+  rtkTower: { table: "rtkTowers", rows: (sqlite) => sqlite.prepare(`
+    SELECT id, name, 0 AS archived,
+           TRIM(COALESCE('network ' || NULLIF(networkId,''), '') || COALESCE(' • ' || NULLIF(frequency,''), ''), ' •') AS detail
+    FROM rtkTowers
+  `).all() },
+
+  binSite: { table: "v_bin_site_totals", rows: (sqlite) => sqlite.prepare(`
+    SELECT siteId AS id, siteName AS name,
+           CASE WHEN lower(TRIM(COALESCE(status,''))) IN ('', 'active') AND COALESCE(used,0) = 0 THEN 0 ELSE 1 END AS archived,
+           binCount || ' bins' AS detail
+    FROM v_bin_site_totals
+  `).all() },
+
+  equipment: { table: "equipment", rows: (sqlite) => sqlite.prepare(`
+    SELECT id, COALESCE(NULLIF(name,''), TRIM(COALESCE(makeName,'') || ' ' || COALESCE(modelName,''))) AS name,
+           unitId, serial,
+           TRIM(COALESCE(makeName,'') || ' ' || COALESCE(modelName,'')) AS makeModel,
+           CASE WHEN lower(TRIM(COALESCE(status,''))) IN ('active', 'open') THEN 0 ELSE 1 END AS archived,
+           TRIM(COALESCE(type,'') || COALESCE(' • unit ' || NULLIF(unitId,''), ''), ' •') AS detail
+    FROM equipment
+  `).all().map(r => ({ ...r, names: [r.unitId, r.serial, r.makeModel] })) }
+};
+
+export const RESOLVE_KINDS = Object.keys(SOURCES);
+
+/**
+ * resolveEntity(kind, key, opts)
+ * opts:
+ *  - includeArchived (boolean) default false
+ *  - limit (number) default 8: max candidates returned
+ */
+export function resolveEntity(kind, key, opts = {}){
+  const sqlite = getDb();
+  const includeArchived = opts.includeArchived === true;
+  const limit = Number.isFinite(Number(opts.limit)) ? Math.max(1, Number(opts.limit)) : MAX_CANDIDATES;
+  const k = normStr(key).trim();
+
+  const out = {
+    ok: true,
+    intent: "resolve",
+    kind,
+    key: k,
+    filter: { includeArchived },
+    status: "none",
+    match: null,
+    candidates: []
+  };
+
+  const source = SOURCES[kind];
+  if(!source) throw new Error(`Unknown resolve kind: ${kind} (want ${RESOLVE_KINDS.join(", ")})`);
+  if(!k) return out;
+
+  if(!tableGuard(sqlite, source.table)){
+    out.note = `No ${source.table} in snapshot; cannot resolve ${kind} names`;
+    return out;
+  }
+
+  const keyTokens = tokens(k);
+  const noise = new Set(NOISE[kind] || []);
+  const scored = [];
+  for(const r of source.rows(sqlite)){
+    if(r.id == null) continue;
+    if(!includeArchived && Number(r.archived) === 1) continue;
+
+    const score = (normStr(r.id) === k)
+      ? 1
+      : Math.max(0, ...[r.name, ...(r.names || [])].filter(Boolean).map(n => scoreName(keyTokens, n, noise)));
+    if(score < SUGGEST_SCORE) continue;
+
+    scored.push({
+      id: normStr(r.id),
+      name: normStr(r.name) || "(Unnamed)",
+      detail: normStr(r.detail),
+      archived: Number(r.archived) === 1,
+      score: Math.round(score * 1000) / 1000
+    });
+  }
+  scored.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  const best = scored[0];
+  if(!best || best.score < MIN_SCORE){
+    out.candidates = scored.slice(0, limit);
+    return out;
+  }
+
+  const close = scored.filter(c => c.score >= MIN_SCORE && best.score - c.score <= AMBIGUITY_GAP);
+  if(close.length > 1){
+    out.status = "ambiguous";
+    out.candidates = close.slice(0, limit);
+    return out;
+  }
+
+  out.status = "resolved";
+  out.match = best;
+  out.candidates = scored.slice(0, limit);
+  return out;
+}
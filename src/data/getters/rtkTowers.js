@@ -1,8 +1,9 @@
 // /src/data/getters/rtkTowers.js  (FULL FILE)
-// Rev: 2026-01-21-v2-getters-rtk-active-default
+// Rev: 2026-10-19-v3-getters-rtk-field-view
 //
 // Default: ACTIVE ONLY for field assignment counts/lists.
 // includeArchived=true will include archived fields (separated).
+// Tower field lists read v_field_full (farm name resolved in the snapshot view).
 
 import { db } from "../sqlite.js";
 
@@ -94,17 +95,16 @@ export function getFieldsByRtkTowerKey(key, opts = {}) {
 
   const fetch = (whereExtra) => sqlite.prepare(`
     SELECT
-      f.id AS fieldId,
-      f.name AS fieldName,
-      COALESCE(NULLIF(f.farmName,''), fm.name) AS farmName,
-      f.county AS county,
+      f.fieldId,
+      f.fieldName,
+      f.farmName,
+      f.county,
       COALESCE(f.state,'') AS state,
-      f.acresTillable AS acresTillable
-    FROM fields f
-    LEFT JOIN farms fm ON fm.id = f.farmId
+      f.acresTillable
+    FROM v_field_full f
     WHERE f.rtkTowerId = ?
     ${whereExtra}
-    ORDER BY lower(f.name) ASC
+    ORDER BY lower(f.fieldName) ASC
   `).all(tower.towerId);
 
   const active = fetch(activeWhere(sqlite, "f", includeArchived)).map(r => ({
@@ -0,0 +1,147 @@
+// ======================================================================
+// /src/data/getters/search.js  (FULL FILE - ESM)
+// Rev: 2026-10-19-v1-search
+//
+// Ranked full-text search over the snapshot's FTS5 index (_search, built by
+// /context/snapshot-search.js): fields, farms, RTK towers, equipment, maintenance notes,
+// boundary notes.
+//
+// ACTIVE-ONLY DEFAULT (per Dane):
+// - Default returns ONLY active records (archived=0 in the index)
+// - includeArchived=true also returns archived hits (flagged archived=true)
+//
+// Matching:
+// - every word is a prefix match ("nor 40" finds "North 40")
+// - all words must match; if nothing does, falls back to ANY word (matchMode "any")
+// - rank: bm25 with title > subtitle > body
+//
+// Output goals:
+// - counts (total, by type)
+// - hits: [{ type, id, title, subtitle, snippet, archived, score }] best first
+// ======================================================================
+
+import { db } from '../sqlite.js';
+import { SEARCH_TABLE, SEARCH_COLUMNS, SEARCH_TYPES } from '../../../context/snapshot-search.js';
+
+function getDb(){
+  return (typeof db === 'function') ? db() : db;
+}
+
+function normStr(v){ return (v == null) ? "" : String(v); }
+function normLower(v){ return normStr(v).trim().toLowerCase(); }
+function truthy(v){
+  if(v === true) return true;
+  if(v === false) return false;
+  const s = normLower(v);
+  return (s === "true" || s === "1" || s === "yes");
+}
+
+function hasTable(database, name){
+  try{
+    const row = database.prepare(
+      `SELECT name FROM sqlite_master WHERE type='table' AND name=? LIMIT 1`
+    ).get(name);
+    return !!row;
+  }catch(e){
+    return false;
+  }
+}
+
+// bm25 weights follow SEARCH_COLUMNS order (UNINDEXED columns get 0)
+const WEIGHTS = { title: 10.0, subtitle: 4.0, body: 1.0 };
+const BM25 = `bm25(${SEARCH_TABLE}, ${SEARCH_COLUMNS.map(c => WEIGHTS[c] ?? 0).join(", ")})`;
+const BODY_COL = SEARCH_COLUMNS.indexOf("body");
+
+// user text -> FTS5 prefix terms; quotes keep FTS5 operators (AND/OR/NEAR, -, :) literal
+function searchTerms(q){
+  return normLower(q)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter(Boolean)
+    .map(w => `"${w}"*`);
+}
+
+function parseTypes(v){
+  const list = Array.isArray(v) ? v : normStr(v).split(",");
+  const want = list.map(normLower).filter(Boolean);
+  return want.length ? SEARCH_TYPES.filter(t => want.includes(t.toLowerCase())) : [];
+}
+
+/**
+ * getSearch(opts)
+ * opts:
+ *  - q (string) required
+ *  - types (string[] | "field,farm") optional: field, farm, rtkTower, equipment, maintenance, boundary
+ *  - includeArchived (boolean) default false
+ *  - limit (number) default 20
+ */
+export function getSearch(opts = {}){
+  const sqlite = getDb();
+  const q = normStr(opts.q).trim();
+  const types = parseTypes(opts.types);
+  const includeArchived = truthy(opts.includeArchived);
+  const limit = Number.isFinite(Number(opts.limit)) ? Math.min(200, Math.max(1, Number(opts.limit))) : 20;
+
+  const out = {
+    ok: true,
+    intent: "search",
+    filter: { q, types, includeArchived, limit },
+    matchMode: "all",
+    counts: { total: 0, byType: {} },
+    hits: []
+  };
+
+  if(!hasTable(sqlite, SEARCH_TABLE)){
+    out.note = `No ${SEARCH_TABLE} index in this snapshot (built before search existed); rebuild the snapshot.`;
+    return out;
+  }
+
+  const terms = searchTerms(q);
+  if(!terms.length){
+    out.note = "Nothing to search for.";
+    return out;
+  }
+
+  const where = [`${SEARCH_TABLE} MATCH ?`];
+  const params = [];
+  if(!includeArchived) where.push(`archived = 0`);
+  if(types.length){
+    where.push(`type IN (${types.map(() => "?").join(", ")})`);
+    params.push(...types);
+  }
+
+  const run = (match) => sqlite.prepare(`
+    SELECT
+      type, refId, archived, title, subtitle,
+      snippet(${SEARCH_TABLE}, ${BODY_COL}, '[', ']', '…', 12) AS snippet,
+      ${BM25} AS rank
+    FROM ${SEARCH_TABLE}
+    WHERE ${where.join(" AND ")}
+    ORDER BY rank
+  `).all(match, ...params);
+
+  let rows = run(terms.join(" "));
+  if(!rows.length && terms.length > 1){
+    rows = run(terms.join(" OR "));
+    out.matchMode = "any";
+  }
+
+  for(const r of rows){
+    out.counts.byType[r.type] = (out.counts.byType[r.type] || 0) + 1;
+  }
+  out.counts.total = rows.length;
+
+  out.hits = rows.slice(0, limit).map(r => ({
+    type: r.type,
+    id: r.refId,
+    title: r.title,
+    subtitle: r.subtitle || "",
+    // snippet only when the body (notes) matched
+    snippet: (r.snippet && r.snippet.includes("[")) ? r.snippet : "",
+    archived: Number(r.archived) === 1,
+    score: Math.round(-r.rank * 1000) / 1000
+  }));
+
+  if(!rows.length) out.note = `No matches for "${q}".`;
+  return out;
+}
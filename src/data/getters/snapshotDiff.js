@@ -0,0 +1,76 @@
+// ======================================================================
+// /src/data/getters/snapshotDiff.js  (FULL FILE - ESM)
+// Rev: 2026-10-19-v1-snapshot-diff
+//
+// "What changed since yesterday?"
+// - compares two snapshots (from -> to) via /context/snapshot-diff.js
+// - from/to: "live" | "YYYY-MM-DD" | ISO timestamp (nearest snapshot as of then)
+// - defaults: from = yesterday (UTC date), to = live
+//
+// ASYNC (unlike the other getters): past snapshots may need a download first.
+//
+// Output goals:
+// - totals + per-table counts
+// - highlights (archived/un-archived fields, acre edits, new putDowns/pickUps, bin onHand moves)
+// - per-table detail rows (bounded by limit)
+// ======================================================================
+
+import { acquireSnapshot } from '../sqlite.js';
+import { diffSnapshots } from '../../../context/snapshot-diff.js';
+
+function normStr(v){ return (v == null) ? "" : String(v).trim(); }
+
+function yesterdayISODate(){
+  return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function snapLabel(info){
+  return {
+    kind: info?.kind || "live",
+    requested: info?.requested || "",
+    snapshotId: info?.snapshotId || null,
+    builtAt: info?.builtAt || null,
+    note: info?.note || null
+  };
+}
+
+/**
+ * getSnapshotDiff(opts)
+ * opts:
+ *  - from (string) default yesterday
+ *  - to (string) default "live"
+ *  - limit (number) default 50: max detail rows per list (0 = counts only)
+ *  - tables (string[] | "a,b") optional
+ */
+export async function getSnapshotDiff(opts = {}){
+  const from = normStr(opts.from) || yesterdayISODate();
+  const to = normStr(opts.to) || "live";
+  const limit = Number.isFinite(Number(opts.limit)) ? Math.max(0, Number(opts.limit)) : 50;
+  const tables = Array.isArray(opts.tables)
+    ? opts.tables
+    : (normStr(opts.tables) ? normStr(opts.tables).split(",").map(normStr).filter(Boolean) : null);
+
+  const a = await acquireSnapshot(from);
+  let b = null;
+  try{
+    b = await acquireSnapshot(to);
+
+    const out = {
+      ok: true,
+      intent: "snapshotDiff",
+      filter: { from, to, limit, tables },
+      from: snapLabel(a.info),
+      to: snapLabel(b.info),
+      sameSnapshot: a.handle === b.handle,
+      ...diffSnapshots(a.handle, b.handle, { limit, tables })
+    };
+
+    if (out.sameSnapshot) {
+      out.note = `Both ${from} and ${to} resolve to the same snapshot; no changes can be shown.`;
+    }
+    return out;
+  } finally {
+    a.release();
+    if (b) b.release();
+  }
+}
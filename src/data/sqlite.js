@@ -1,10 +1,16 @@
 // /src/data/sqlite.js  (FULL FILE)
-// Rev: 2026-01-20-v2-sqlite-bridge
+// Rev: 2026-10-19-v5-sqlite-bridge-acquire
 //
 // Bridge v2 to the EXISTING GCS-backed SQLite loader.
 // Truth source stays: /context/snapshot-db.js (downloads live.sqlite to /tmp and opens readonly)
+//
+// withDb(fn): pin one snapshot handle for a whole request (safe across /db/reload hot-swaps)
+// withDb(fn, { asOf }): pin the snapshot nearest to asOf; every getter's db() then reads it
+// acquireSnapshot(ref): explicit leased handle (two at once for diffs); call release()
 
-import { ensureDbReady, getDb } from "../../context/snapshot-db.js";
+import {
+  ensureDbReady, getDb, withDb as withSnapshotDb, acquireSnapshot as acquire
+} from "../../context/snapshot-db.js";
 
 export async function ensureReady() {
   await ensureDbReady({ force: false });
@@ -14,3 +20,11 @@ export async function ensureReady() {
 export function db() {
   return getDb();
 }
+
+export function withDb(fn, opts) {
+  return withSnapshotDb(fn, opts);
+}
+
+export function acquireSnapshot(ref) {
+  return acquire(ref);
+}
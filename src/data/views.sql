@@ -1,11 +1,37 @@
--- REQUIRED VIEW
--- v_field_full
+-- Canonical snapshot views
+-- Defined in /context/snapshot-views.js (SNAPSHOT_VIEWS) — that file is the source of truth.
+-- snapshot-build.js creates them in every snapshot; snapshot-db.js adds missing ones as TEMP
+-- views when it opens an older snapshot. Getters query these views instead of joining tables.
+
+-- v_field_full  (one row per field, archived included)
+-- columns:
+-- fieldId, fieldName, county, state, acresTillable,
+-- hasHEL, helAcres, hasCRP, crpAcres,
+-- farmId, farmName (fields.farmName, else farms.name),
+-- rtkTowerId, rtkTowerName (fields.rtkTowerName, else rtkTowers.name), rtkNetworkId, rtkFrequency,
+-- archived, farmArchived
+
+-- v_farm_rollup  (one row per farm; ACTIVE fields only)
+-- columns:
+-- farmId, farmName, status, archived,
+-- fieldCount, tillableAcres, fieldsWithHEL, helAcres, fieldsWithCRP, crpAcres,
+-- countyCount, counties (comma list)
+
+-- v_grainBag_open_remaining  (one row per putDown with bags still out; pickUps subtracted)
+-- columns:
+-- putDownId, fieldId, fieldName, cropType, cropYear, bagDiameterFt, bagSizeFeet, bagSkuId, bagBrand,
+-- putFull, putPartial, putPartialFeetSum, pickedFull, pickedPartial, anyPartialPicked,
+-- remainingFull, remainingPartial, remainingPartialFeetSum
+
+-- v_grain_bags_down  (v_grainBag_open_remaining + bag product + capacity)
 -- columns:
--- field_id, field_name, farm_name, county, state,
--- tillable_acres, hel, crp,
--- rtk_tower_name, rtk_network, rtk_frequency
+-- putDownId, fieldId, fieldName, cropType, crop (Corn/Soybeans/Wheat/Milo/Oats/Other), cropYear,
+-- bagSkuId, bagBrand, bagDiameterFt, bagSizeFeet, productId,
+-- remainingFull, remainingPartial, remainingPartialFeetSum,
+-- cornRatedCapacityBu, bagCapacityBu (crop factor applied),
+-- bushelsFull, bushelsPartial, bushels
 
--- REQUIRED VIEW
--- v_grain_bags_down
+-- v_bin_site_totals  (one row per bin site)
 -- columns:
--- crop, bushels
+-- siteId, siteName, status, used, totalBushels,
+-- binCount, binCapacityBushels, onHandBushels
@@ -1,13 +1,29 @@
 // /src/server.js  (FULL FILE)
-// Rev: 2026-01-20-v2-server-debug-field
+// Rev: 2026-10-19-v11-server-sse
 //
 // Adds: GET /debug/field/:key
-// Returns the exact joined row v2 uses for FIELD_FULL.
+// Returns the exact joined row v2 uses for FIELD_FULL (snapshot view v_field_full).
+//
+// Adds: GET /db/history (past snapshots usable as /chat asOf)
+// Adds: GET /db/issues?rule=&severity=&q=&limit= (build-time data quality findings)
+// Adds: GET /db/diff?from=&to=&limit=&tables= (structured changes between two snapshots)
+// Adds: GET /api/search?q=&types=&includeArchived=&limit= (ranked hits across fields/farms/towers/equipment/notes)
+// Adds: GET /api/resolve?kind=&q=&includeArchived= (typo-tolerant name -> id, with candidates)
+// Adds: POST /chat/stream (Server-Sent Events: intent -> data -> tokens -> meta; same as Accept: text/event-stream)
+// Adds: GET /chat/threads/:threadId (stored /chat turns of a conversation)
+// Adds: POST /snapshot/build (FV_BUILD_TOKEN) -> background job; GET /snapshot/build/:jobId for progress.
 
 import express from "express";
 import { failFast } from "./util/failFast.js";
 import { handleChat } from "./chat/handleChat.js";
-import { ensureDbReady, getDbStatus, reloadDbFromGcs, getDb } from "../context/snapshot-db.js";
+import { getThread, isValidThreadId } from "./chat/conversations.js";
+import {
+  ensureDbReady, getDbStatus, reloadDbFromGcs, getDb, listSnapshotHistory
+} from "../context/snapshot-db.js";
+import { buildSnapshotHttp, buildSnapshotStatusHttp } from "../context/snapshot-build.js";
+import {
+  getSnapshotDiff, getDataIssues, getSearch, resolveEntity, RESOLVE_KINDS
+} from "./data/getters/index.js";
 
 failFast();
 
@@ -17,7 +33,7 @@ app.use(express.json({ limit: "6mb" }));
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Build-Token");
   if (req.method === "OPTIONS") return res.status(204).end();
   next();
 });
@@ -57,6 +73,102 @@ app.post("/db/reload", async (req, res) => {
   }
 });
 
+app.get("/db/history", async (req, res) => {
+  try {
+    const snapshots = await listSnapshotHistory({ refresh: req.query.refresh === "1" });
+    noStore(res);
+    res.json({ ok: true, count: snapshots.length, snapshots });
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/db/issues", async (req, res) => {
+  try {
+    await ensureDbReady({ force: false });
+    const out = getDataIssues({
+      rule: req.query.rule,
+      severity: req.query.severity,
+      q: req.query.q,
+      limit: req.query.limit
+    });
+    noStore(res);
+    res.json(out);
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/db/diff", async (req, res) => {
+  try {
+    await ensureDbReady({ force: false });
+    const out = await getSnapshotDiff({
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      tables: req.query.tables
+    });
+    noStore(res);
+    res.json(out);
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/search", async (req, res) => {
+  try {
+    await ensureDbReady({ force: false });
+    const q = (req.query.q || "").toString().trim();
+    if (!q) {
+      noStore(res);
+      return res.status(400).json({ ok: false, error: "Missing q" });
+    }
+    const out = getSearch({
+      q,
+      types: req.query.types,
+      includeArchived: req.query.includeArchived,
+      limit: req.query.limit
+    });
+    noStore(res);
+    res.json(out);
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/api/resolve", async (req, res) => {
+  try {
+    await ensureDbReady({ force: false });
+    const kind = (req.query.kind || "").toString().trim();
+    const q = (req.query.q || "").toString().trim();
+    if (!RESOLVE_KINDS.includes(kind) || !q) {
+      noStore(res);
+      return res.status(400).json({ ok: false, error: `Want kind (${RESOLVE_KINDS.join(", ")}) and q` });
+    }
+    const includeArchived = ["1", "true", "yes"].includes((req.query.includeArchived || "").toString().toLowerCase());
+    const out = resolveEntity(kind, q, { includeArchived, limit: req.query.limit });
+    noStore(res);
+    res.json(out);
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.post("/snapshot/build", (req, res) => {
+  noStore(res);
+  return buildSnapshotHttp(req, res);
+});
+
+app.get("/snapshot/build/:jobId", (req, res) => {
+  noStore(res);
+  return buildSnapshotStatusHttp(req, res);
+});
+
 // DEBUG: show joined field row (what v2 getter intends)
 app.get("/debug/field/:key", async (req, res) => {
   try {
@@ -65,41 +177,11 @@ app.get("/debug/field/:key", async (req, res) => {
     const key = (req.params.key || "").toString().trim();
 
     const byId = sqlite.prepare(`
-      SELECT
-        f.id AS fieldId,
-        f.name AS fieldName,
-        f.farmId AS farmId,
-        f.farmName AS fieldFarmName,
-        fm.name AS farmName,
-        f.rtkTowerId AS rtkTowerId,
-        f.rtkTowerName AS fieldTowerName,
-        rt.name AS rtkTowerName,
-        rt.networkId AS rtkNetworkId,
-        rt.frequency AS rtkFrequency
-      FROM fields f
-      LEFT JOIN farms fm ON fm.id = f.farmId
-      LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId
-      WHERE f.id = ?
-      LIMIT 1
+      SELECT * FROM v_field_full WHERE fieldId = ? LIMIT 1
     `).get(key);
 
     const byName = sqlite.prepare(`
-      SELECT
-        f.id AS fieldId,
-        f.name AS fieldName,
-        f.farmId AS farmId,
-        f.farmName AS fieldFarmName,
-        fm.name AS farmName,
-        f.rtkTowerId AS rtkTowerId,
-        f.rtkTowerName AS fieldTowerName,
-        rt.name AS rtkTowerName,
-        rt.networkId AS rtkNetworkId,
-        rt.frequency AS rtkFrequency
-      FROM fields f
-      LEFT JOIN farms fm ON fm.id = f.farmId
-      LEFT JOIN rtkTowers rt ON rt.id = f.rtkTowerId
-      WHERE lower(f.name) LIKE lower(?)
-      LIMIT 1
+      SELECT * FROM v_field_full WHERE lower(fieldName) LIKE lower(?) LIMIT 1
     `).get(`%${key}%`);
 
     noStore(res);
@@ -111,6 +193,22 @@ app.get("/debug/field/:key", async (req, res) => {
 });
 
 app.post("/chat", handleChat);
+app.post("/chat/stream", handleChat);
+
+app.get("/chat/threads/:threadId", (req, res) => {
+  try {
+    noStore(res);
+    const threadId = req.params.threadId;
+    if (!isValidThreadId(threadId)) return res.status(400).json({ ok: false, error: "Bad threadId" });
+
+    const thread = getThread(threadId);
+    if (!thread) return res.status(404).json({ ok: false, error: "Unknown or expired threadId" });
+    res.json({ ok: true, ...thread });
+  } catch (e) {
+    noStore(res);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
 const port = Number(process.env.PORT || 8080);
 app.listen(port, () => {
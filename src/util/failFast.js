@@ -1,12 +1,23 @@
 // /src/util/failFast.js  (FULL FILE)
-// Rev: 2026-01-20-v2-failfast-gcsdb
+// Rev: 2026-10-19-v4-failfast-template-fallback
 //
 // Fail fast on missing critical env. We do NOT require SNAPSHOT_SQLITE_PATH
 // because this repo already uses GCS->/tmp loader via context/snapshot-db.js.
+//
+// Adds (v3): OPENAI_API_KEY is only required when a chat stage (classify / write) runs on the
+// openai provider; FV_LLM_PROVIDER=local|mock starts without it. Unknown providers fail here too.
+// Adds (v4): a missing OPENAI_API_KEY for openai stages is a startup warning, not a crash: /chat answers with
+// the rule router + template answers until the key is set (handleChat "template" fallback).
+
+import { LLM_STAGES, stageConfig } from "../chat/llm.js";
 
 export function failFast() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY missing");
+  const openaiStages = LLM_STAGES.filter((stage) => stageConfig(stage).provider === "openai");
+  if (openaiStages.length && !process.env.OPENAI_API_KEY) {
+    console.warn(
+      `[failFast] OPENAI_API_KEY missing (LLM provider openai for ${openaiStages.join(" + ")}): ` +
+      "/chat answers with rule routing + template answers only."
+    );
   }
 
   // Your existing snapshot-db defaults bucket/object, but token/creds must exist in runtime.